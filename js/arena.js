@@ -0,0 +1,402 @@
+// Node.js: load the modules the browser gets from <script> tags
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./vector.js'));
+}
+
+/**
+ * Arena Class
+ * The playing area, centered on the origin. Subclasses describe the shape;
+ * the simulation only uses the methods below, so any shape can be played.
+ */
+class Arena {
+    /**
+     * Constructor for an arena
+     * @param {Object} bounds - Bounding box { left, top, right, bottom }
+     * @param {number} perimeter - Length of the boundary
+     */
+    constructor(bounds, perimeter) {
+        this.bounds = bounds;
+        this.perimeter = perimeter;
+        // Largest extent, used to scale vision distance and walks
+        this.size = Math.max(bounds.right - bounds.left, bounds.bottom - bounds.top);
+    }
+    
+    /**
+     * Check if a point is inside the arena (the boundary counts as inside)
+     * @param {number} x - Point x
+     * @param {number} y - Point y
+     * @returns {boolean} True if the point is inside
+     */
+    contains(x, y) {
+        throw new Error('Arena.contains() must be implemented by the shape');
+    }
+    
+    /**
+     * Closest point on the boundary
+     * @param {number} x - Point x
+     * @param {number} y - Point y
+     * @returns {Vector2} A new vector on the boundary
+     */
+    nearestBoundaryPoint(x, y) {
+        throw new Error('Arena.nearestBoundaryPoint() must be implemented by the shape');
+    }
+    
+    /**
+     * Unit normal pointing into the arena, at the boundary closest to a point
+     * @param {number} x - Point x
+     * @param {number} y - Point y
+     * @returns {Vector2} A new unit vector
+     */
+    inwardNormal(x, y) {
+        throw new Error('Arena.inwardNormal() must be implemented by the shape');
+    }
+    
+    /**
+     * Point on the boundary, going clockwise from the top
+     * @param {number} t - Fraction of the perimeter (0 to 1)
+     * @param {number} offset - Distance outside the boundary
+     * @returns {Vector2} A new vector
+     */
+    spawnPoint(t, offset = 0) {
+        throw new Error('Arena.spawnPoint() must be implemented by the shape');
+    }
+    
+    /**
+     * Move a position back inside the arena if it is outside
+     * @param {Vector2} position - Position to correct (changed in place)
+     * @returns {boolean} True if the position was outside
+     */
+    clamp(position) {
+        if (this.contains(position.x, position.y)) return false;
+        const edge = this.nearestBoundaryPoint(position.x, position.y);
+        position.set(edge.x, edge.y);
+        return true;
+    }
+    
+    /**
+     * Random point inside the arena, shrunk toward the center
+     * @param {SeededRandom} rng - Random source
+     * @param {number} scale - Shrink factor (1 = whole arena)
+     * @returns {Vector2} A new vector
+     */
+    randomPoint(rng, scale = 1) {
+        const b = this.bounds;
+        let x = 0, y = 0;
+        // Rejection sampling in the bounding box (a few tries are enough for convex shapes)
+        for (let tries = 0; tries < 100; tries++) {
+            x = rng.random(b.left, b.right);
+            y = rng.random(b.top, b.bottom);
+            if (this.contains(x, y)) break;
+            x = 0;
+            y = 0;
+        }
+        return new Vector2(x * scale, y * scale);
+    }
+}
+
+// Rounding tolerance of the containment tests, so points snapped onto the
+// boundary count as inside
+Arena.EPSILON = 1e-9;
+
+/**
+ * Circular arena
+ */
+class CircleArena extends Arena {
+    /**
+     * Constructor for a circle
+     * @param {number} radius - Radius of the circle
+     */
+    constructor(radius) {
+        super({ left: -radius, top: -radius, right: radius, bottom: radius }, Math.PI * 2 * radius);
+        this.radius = radius;
+    }
+    
+    /**
+     * Check if a point is inside the circle
+     * @param {number} x - Point x
+     * @param {number} y - Point y
+     * @returns {boolean} True if the point is inside
+     */
+    contains(x, y) {
+        return Math.sqrt(x * x + y * y) <= this.radius + Arena.EPSILON;
+    }
+    
+    /**
+     * Closest point on the circle
+     * @param {number} x - Point x
+     * @param {number} y - Point y
+     * @returns {Vector2} A new vector on the boundary
+     */
+    nearestBoundaryPoint(x, y) {
+        const normal = this.inwardNormal(x, y);
+        return new Vector2(-normal.x * this.radius, -normal.y * this.radius);
+    }
+    
+    /**
+     * Unit normal toward the center
+     * @param {number} x - Point x
+     * @param {number} y - Point y
+     * @returns {Vector2} A new unit vector
+     */
+    inwardNormal(x, y) {
+        const distance = Math.sqrt(x * x + y * y);
+        // The center is equally close to the whole boundary: pick the right side
+        if (distance === 0) return new Vector2(-1, 0);
+        return new Vector2(-x / distance, -y / distance);
+    }
+    
+    /**
+     * Point on the circle, clockwise from the top
+     * @param {number} t - Fraction of the perimeter (0 to 1)
+     * @param {number} offset - Distance outside the boundary
+     * @returns {Vector2} A new vector
+     */
+    spawnPoint(t, offset = 0) {
+        const angle = -Math.PI / 2 + t * Math.PI * 2;
+        const distance = this.radius + offset;
+        return new Vector2(Math.cos(angle) * distance, Math.sin(angle) * distance);
+    }
+}
+
+/**
+ * Convex polygon arena
+ */
+class PolygonArena extends Arena {
+    /**
+     * Constructor for a convex polygon
+     * @param {Array} vertices - Corners in order, as { x, y } or [x, y];
+     *                           the polygon must contain the origin
+     */
+    constructor(vertices) {
+        const points = vertices.map(v => Array.isArray(v) ? new Vector2(v[0], v[1]) : new Vector2(v.x, v.y));
+        if (points.length < 3) {
+            throw new Error('A polygon arena needs at least 3 vertices');
+        }
+        
+        // Edges with their length and inward normal
+        const edges = [];
+        let perimeter = 0;
+        for (let i = 0; i < points.length; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % points.length];
+            const length = Vector2.sub(b, a).mag();
+            if (length === 0) {
+                throw new Error(`Polygon arena has two identical vertices at index ${i}`);
+            }
+            const ex = (b.x - a.x) / length;
+            const ey = (b.y - a.y) / length;
+            edges.push({ a, b, ex, ey, length, nx: -ey, ny: ex });
+            perimeter += length;
+        }
+        
+        // Convex: every corner turns the same way, and the turns add up to a
+        // single full turn (a star such as a pentagram turns the same way at
+        // every corner but goes around twice)
+        let turn = 0;
+        let totalTurn = 0;
+        for (let i = 0; i < edges.length; i++) {
+            const next = edges[(i + 1) % edges.length];
+            const cross = edges[i].ex * next.ey - edges[i].ey * next.ex;
+            const dot = edges[i].ex * next.ex + edges[i].ey * next.ey;
+            if (cross * turn < 0) {
+                throw new Error('Polygon arena must be convex');
+            }
+            if (cross !== 0) turn = cross;
+            totalTurn += Math.atan2(cross, dot);
+        }
+        if (Math.abs(Math.abs(totalTurn) - Math.PI * 2) > 1e-6) {
+            throw new Error('Polygon arena must be convex (its edges cross or double back)');
+        }
+        
+        // Orient the normals inward: the origin must be on the inner side of every edge
+        const flip = edges[0].nx * -edges[0].a.x + edges[0].ny * -edges[0].a.y < 0;
+        for (let edge of edges) {
+            if (flip) {
+                edge.nx = -edge.nx;
+                edge.ny = -edge.ny;
+            }
+            if (edge.nx * -edge.a.x + edge.ny * -edge.a.y <= 0) {
+                throw new Error('Polygon arena must contain the origin');
+            }
+        }
+        
+        super({
+            left: Math.min(...points.map(p => p.x)),
+            top: Math.min(...points.map(p => p.y)),
+            right: Math.max(...points.map(p => p.x)),
+            bottom: Math.max(...points.map(p => p.y))
+        }, perimeter);
+        this.vertices = points;
+        this.edges = edges;
+    }
+    
+    /**
+     * Check if a point is on the inner side of every edge
+     * @param {number} x - Point x
+     * @param {number} y - Point y
+     * @returns {boolean} True if the point is inside
+     */
+    contains(x, y) {
+        for (let edge of this.edges) {
+            if ((x - edge.a.x) * edge.nx + (y - edge.a.y) * edge.ny < -Arena.EPSILON) return false;
+        }
+        return true;
+    }
+    
+    /**
+     * Edge closest to a point, and the closest point on it
+     * @param {number} x - Point x
+     * @param {number} y - Point y
+     * @returns {Object} { edge, x, y }
+     */
+    nearestEdge(x, y) {
+        let best = null;
+        let bestDistance = Infinity;
+        for (let edge of this.edges) {
+            // Project onto the segment
+            const along = Math.max(0, Math.min(edge.length, (x - edge.a.x) * edge.ex + (y - edge.a.y) * edge.ey));
+            const px = edge.a.x + edge.ex * along;
+            const py = edge.a.y + edge.ey * along;
+            const distance = (x - px) * (x - px) + (y - py) * (y - py);
+            if (distance < bestDistance) {
+                best = { edge, x: px, y: py };
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+    
+    /**
+     * Closest point on the polygon's edges
+     * @param {number} x - Point x
+     * @param {number} y - Point y
+     * @returns {Vector2} A new vector on the boundary
+     */
+    nearestBoundaryPoint(x, y) {
+        const nearest = this.nearestEdge(x, y);
+        return new Vector2(nearest.x, nearest.y);
+    }
+    
+    /**
+     * Inward normal of the closest edge
+     * @param {number} x - Point x
+     * @param {number} y - Point y
+     * @returns {Vector2} A new unit vector
+     */
+    inwardNormal(x, y) {
+        const edge = this.nearestEdge(x, y).edge;
+        return new Vector2(edge.nx, edge.ny);
+    }
+    
+    /**
+     * Point on the edges, from the first vertex in vertex order
+     * @param {number} t - Fraction of the perimeter (0 to 1)
+     * @param {number} offset - Distance outside the boundary
+     * @returns {Vector2} A new vector
+     */
+    spawnPoint(t, offset = 0) {
+        // Walk along the edges from the first vertex
+        let remaining = (t - Math.floor(t)) * this.perimeter;
+        for (let edge of this.edges) {
+            if (remaining < edge.length) {
+                return new Vector2(
+                    edge.a.x + edge.ex * remaining - edge.nx * offset,
+                    edge.a.y + edge.ey * remaining - edge.ny * offset
+                );
+            }
+            remaining -= edge.length;
+        }
+        // Rounding left us at the very end: back at the first vertex
+        const first = this.edges[0];
+        return new Vector2(first.a.x - first.nx * offset, first.a.y - first.ny * offset);
+    }
+}
+
+/**
+ * Rectangular arena
+ */
+class RectangleArena extends PolygonArena {
+    /**
+     * Constructor for a rectangle (clockwise from the top-left corner)
+     * @param {number} width - Width of the rectangle
+     * @param {number} height - Height of the rectangle
+     */
+    constructor(width, height) {
+        const halfWidth = width / 2;
+        const halfHeight = height / 2;
+        super([
+            [-halfWidth, -halfHeight],
+            [halfWidth, -halfHeight],
+            [halfWidth, halfHeight],
+            [-halfWidth, halfHeight]
+        ]);
+        this.width = width;
+        this.height = height;
+    }
+    
+    /**
+     * Check if a point is inside the rectangle (faster than the edge test)
+     * @param {number} x - Point x
+     * @param {number} y - Point y
+     * @returns {boolean} True if the point is inside
+     */
+    contains(x, y) {
+        return Math.abs(x) <= this.width / 2 + Arena.EPSILON && Math.abs(y) <= this.height / 2 + Arena.EPSILON;
+    }
+}
+
+/**
+ * Vertices of a regular polygon with a corner at the top
+ * @param {number} sides - Number of sides
+ * @param {number} radius - Distance from the center to the corners
+ * @returns {Array} Vertices as [x, y], clockwise
+ */
+function regularPolygon(sides, radius) {
+    const vertices = [];
+    for (let i = 0; i < sides; i++) {
+        const angle = -Math.PI / 2 + i * Math.PI * 2 / sides;
+        vertices.push([Math.cos(angle) * radius, Math.sin(angle) * radius]);
+    }
+    return vertices;
+}
+
+// Arena shapes that can be chosen, all sized by the arena size setting
+const ARENA_SHAPES = {
+    square: { label: 'Carré', create: settings => new RectangleArena(settings.arenaSize, settings.arenaSize) },
+    rectangle: {
+        label: 'Rectangle',
+        create: settings => new RectangleArena(settings.arenaSize, settings.arenaSize / settings.arenaAspect)
+    },
+    circle: { label: 'Cercle', create: settings => new CircleArena(settings.arenaSize / 2) },
+    hexagon: { label: 'Hexagone', create: settings => new PolygonArena(regularPolygon(6, settings.arenaSize / 2)) },
+    triangle: { label: 'Triangle', create: settings => new PolygonArena(regularPolygon(3, settings.arenaSize / 2)) }
+};
+
+/**
+ * Create the arena for a run
+ * @param {Object} settings - Simulation settings (arena, arenaSize, arenaAspect,
+ *                            or arenaVertices for a custom convex polygon)
+ * @returns {Arena} The arena
+ */
+function createArena(settings) {
+    if (settings.arenaVertices) {
+        return new PolygonArena(settings.arenaVertices);
+    }
+    const shape = ARENA_SHAPES[settings.arena];
+    if (!shape) {
+        throw new Error(`Unknown arena shape "${settings.arena}"`);
+    }
+    return shape.create(settings);
+}
+
+// Export for Node.js (in the browser these are globals)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        Arena,
+        CircleArena,
+        PolygonArena,
+        RectangleArena,
+        ARENA_SHAPES,
+        createArena
+    };
+}
@@ -0,0 +1,358 @@
+// Node.js: load the modules the browser gets from <script> tags
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./events.js'), require('./simulation.js'));
+}
+
+// Levels of the challenge mode, in order. Each one tightens the settings
+// (fewer participants, narrower vision, shorter timeout, faster walk) and
+// has a goal: survive (ms without being excluded), rescue (excluded
+// participants brought back by the player's gaze) or contacts (eye contacts
+// made by the player). Being excluded loses the level.
+const CHALLENGE_LEVELS = [
+    {
+        name: 'Premiers regards',
+        settings: { participantCount: 8, visionAngle: 60, timeoutDuration: 3, simulationSpeed: 0.6 },
+        goal: { type: 'survive', target: 30000 }
+    },
+    {
+        name: 'Tenir bon',
+        settings: { participantCount: 8, visionAngle: 50, timeoutDuration: 2.5, simulationSpeed: 0.7 },
+        goal: { type: 'survive', target: 60000 }
+    },
+    {
+        name: 'Sauveteur',
+        settings: { participantCount: 7, visionAngle: 45, timeoutDuration: 2.5, simulationSpeed: 0.8 },
+        goal: { type: 'rescue', target: 3 }
+    },
+    {
+        name: 'Regards croisés',
+        settings: { participantCount: 6, visionAngle: 40, timeoutDuration: 2, simulationSpeed: 0.9 },
+        goal: { type: 'contacts', target: 15 }
+    },
+    {
+        name: 'Vision tunnel',
+        settings: { participantCount: 5, visionAngle: 30, timeoutDuration: 1.5, simulationSpeed: 1 },
+        goal: { type: 'survive', target: 60000 }
+    },
+    {
+        name: 'Dernier rempart',
+        settings: { participantCount: 5, visionAngle: 30, timeoutDuration: 1.5, simulationSpeed: 1.2 },
+        goal: { type: 'rescue', target: 5 }
+    }
+];
+
+/**
+ * Full settings of a level: the simulation defaults with the level's own
+ * values, so no other setting (pairing, dwell time, arena...) can make a
+ * level easier than for the other players on the leaderboard
+ * @param {number} levelIndex - Index in CHALLENGE_LEVELS
+ * @returns {Object} Settings for the simulation (a new random seed every run)
+ * @throws {Error} For an unknown level
+ */
+function challengeSettings(levelIndex) {
+    const level = CHALLENGE_LEVELS[levelIndex];
+    if (!level) {
+        throw new Error(`Unknown challenge level ${levelIndex}`);
+    }
+    const defaults = new Simulation(null, { logger: { log() {} } }).settings;
+    return Object.assign(defaults, level.settings, { seed: null });
+}
+
+// Points of the score, multiplied by the level number
+const CHALLENGE_POINTS = {
+    second: 10,   // Per second survived
+    contact: 50,  // Per eye contact of the player
+    rescue: 200,  // Per participant brought back by the player
+    goal: 500     // For reaching the goal
+};
+
+/**
+ * Challenge Class
+ * Follows one participant (the player's) through a challenge level: counts
+ * its eye contacts and rescues, times its survival, and ends the level when
+ * the goal is reached (won) or the participant is excluded (lost).
+ * A new run restarts the level.
+ */
+class Challenge {
+    /**
+     * Constructor for a challenge attached to a simulation
+     * @param {Simulation} simulation - Simulation the level is played in
+     * @param {Object} options - Optional { onEnd } called with the result when a level ends
+     */
+    constructor(simulation, options = {}) {
+        this.simulation = simulation;
+        this.onEnd = options.onEnd || null;
+        this.level = null; // Level being played (null outside the challenge mode)
+        this.levelIndex = -1;
+        this.participantId = 0;
+        this.reset();
+        
+        this.handlers = {
+            runStarted: simulation.on('runStarted', () => this.reset()),
+            eyeContactStart: simulation.on('eyeContactStart', event => this.recordContact(event)),
+            reentered: simulation.on('reentered', event => this.recordRescue(event)),
+            exclusionStarted: simulation.on('exclusionStarted', event => this.recordExclusion(event)),
+            step: simulation.on('step', () => this.check())
+        };
+    }
+    
+    /**
+     * Select a level for the next run
+     * @param {number} levelIndex - Index in CHALLENGE_LEVELS
+     * @param {number} participantId - Participant of the player
+     * @throws {Error} If there is no such level
+     */
+    begin(levelIndex, participantId = 0) {
+        if (!CHALLENGE_LEVELS[levelIndex]) {
+            throw new Error(`Unknown challenge level ${levelIndex}`);
+        }
+        this.levelIndex = levelIndex;
+        this.level = CHALLENGE_LEVELS[levelIndex];
+        this.participantId = participantId;
+        this.reset();
+    }
+    
+    /**
+     * Leave the challenge mode
+     */
+    stop() {
+        this.level = null;
+        this.levelIndex = -1;
+    }
+    
+    /**
+     * Stop following the simulation
+     */
+    detach() {
+        for (let type of Object.keys(this.handlers)) {
+            this.simulation.off(type, this.handlers[type]);
+        }
+    }
+    
+    /**
+     * Start the level again
+     */
+    reset() {
+        this.status = 'playing'; // 'playing', 'won' or 'lost'
+        this.contacts = 0;
+        this.rescues = 0;
+        this.endTime = null;
+    }
+    
+    /**
+     * Whether a level is being played and has not ended
+     * @returns {boolean} True while the level goes on
+     */
+    get isActive() {
+        return this.level !== null && this.status === 'playing';
+    }
+    
+    /**
+     * Time the player has stayed in the game
+     * @returns {number} Simulation ms since the start of the run (until the level ended)
+     */
+    get survivalTime() {
+        return this.endTime !== null ? this.endTime : this.simulation.clock.now();
+    }
+    
+    /**
+     * The player made eye contact
+     * @param {Object} event - The eyeContactStart event
+     */
+    recordContact(event) {
+        if (!this.isActive || event.participantId !== this.participantId || event.switched) return;
+        this.contacts++;
+    }
+    
+    /**
+     * An excluded participant came back; it counts when the player's gaze brought it back
+     * @param {Object} event - The reentered event
+     */
+    recordRescue(event) {
+        if (!this.isActive || event.partnerId !== this.participantId) return;
+        this.rescues++;
+    }
+    
+    /**
+     * The player was excluded: the level is lost
+     * @param {Object} event - The exclusionStarted event
+     */
+    recordExclusion(event) {
+        if (!this.isActive || event.participantId !== this.participantId) return;
+        this.end('lost');
+    }
+    
+    /**
+     * End the level as won once the goal is reached
+     */
+    check() {
+        if (!this.isActive) return;
+        const progress = this.progress();
+        if (progress.value >= progress.target) {
+            this.end('won');
+        }
+    }
+    
+    /**
+     * Progress toward the goal of the level
+     * @returns {Object} { value, target } in the unit of the goal (ms, rescues or contacts)
+     */
+    progress() {
+        const goal = this.level.goal;
+        const values = {
+            survive: this.survivalTime,
+            rescue: this.rescues,
+            contacts: this.contacts
+        };
+        return { value: Math.min(values[goal.type], goal.target), target: goal.target };
+    }
+    
+    /**
+     * Score of the level so far
+     * @returns {number} Points (survival, contacts and rescues, plus the goal bonus
+     *                   when won, times the level number)
+     */
+    score() {
+        const points = this.survivalTime / 1000 * CHALLENGE_POINTS.second +
+            this.contacts * CHALLENGE_POINTS.contact +
+            this.rescues * CHALLENGE_POINTS.rescue +
+            (this.status === 'won' ? CHALLENGE_POINTS.goal : 0);
+        return Math.round(points * (this.levelIndex + 1));
+    }
+    
+    /**
+     * Finish the level and report the result
+     * @param {string} status - 'won' or 'lost'
+     */
+    end(status) {
+        this.status = status;
+        this.endTime = this.simulation.clock.now();
+        if (this.onEnd) {
+            this.onEnd(this.result());
+        }
+    }
+    
+    /**
+     * Summary of the level, e.g. for the leaderboard
+     * @returns {Object} { level (index), levelName, won, score, time (s), contacts, rescues }
+     */
+    result() {
+        return {
+            level: this.levelIndex,
+            levelName: this.level.name,
+            won: this.status === 'won',
+            score: this.score(),
+            time: Math.round(this.survivalTime / 100) / 10,
+            contacts: this.contacts,
+            rescues: this.rescues
+        };
+    }
+}
+
+/**
+ * Describe the goal of a level
+ * @param {Object} level - Entry of CHALLENGE_LEVELS
+ * @returns {string} French description, e.g. "Tenir 60 s sans être exclu"
+ */
+function describeGoal(level) {
+    const goal = level.goal;
+    switch (goal.type) {
+        case 'survive':
+            return `Tenir ${goal.target / 1000} s sans être exclu`;
+        case 'rescue':
+            return `Ramener ${goal.target} exclus par le regard`;
+        case 'contacts':
+            return `Faire ${goal.target} contacts visuels`;
+    }
+    return '';
+}
+
+/**
+ * Describe the progress toward the goal of the level being played
+ * @param {Challenge} challenge - Challenge with a level
+ * @returns {string} French description, e.g. "12.5 s / 60 s"
+ */
+function describeProgress(challenge) {
+    const progress = challenge.progress();
+    switch (challenge.level.goal.type) {
+        case 'survive':
+            return `${(progress.value / 1000).toFixed(1)} s / ${progress.target / 1000} s`;
+        case 'rescue':
+            return `${progress.value} / ${progress.target} exclus ramenés`;
+        case 'contacts':
+            return `${progress.value} / ${progress.target} contacts`;
+    }
+    return '';
+}
+
+/**
+ * Leaderboard Class
+ * Best scores of the challenge mode, kept in a Storage (localStorage in the
+ * browser) as JSON, best first
+ */
+class Leaderboard {
+    /**
+     * Constructor for a leaderboard in a storage
+     * @param {Storage} storage - Where the scores are kept (getItem / setItem / removeItem)
+     * @param {Object} options - Optional { key (default 'gameOfSight.leaderboard'),
+     *                           maxEntries (default 10) }
+     */
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.key = options.key || 'gameOfSight.leaderboard';
+        this.maxEntries = options.maxEntries || 10;
+    }
+    
+    /**
+     * Stored scores (an unreadable store counts as empty)
+     * @returns {Array<Object>} Entries, best first
+     */
+    entries() {
+        try {
+            const entries = JSON.parse(this.storage.getItem(this.key));
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            return [];
+        }
+    }
+    
+    /**
+     * Add a score
+     * @param {Object} entry - { name, score, ... } (a date is added)
+     * @returns {number|null} Rank of the entry (1 = best), or null if it is not good enough to be kept
+     *                          or the storage refused it (full or blocked)
+     */
+    add(entry) {
+        const stored = Object.assign({ date: new Date().toISOString() }, entry);
+        const entries = this.entries();
+        entries.push(stored);
+        entries.sort((a, b) => b.score - a.score);
+        entries.length = Math.min(entries.length, this.maxEntries);
+        
+        try {
+            this.storage.setItem(this.key, JSON.stringify(entries));
+        } catch (error) {
+            return null;
+        }
+        const rank = entries.indexOf(stored);
+        return rank === -1 ? null : rank + 1;
+    }
+    
+    /**
+     * Remove every score (nothing happens when the storage is blocked)
+     */
+    clear() {
+        try {
+            this.storage.removeItem(this.key);
+        } catch (error) {
+            // Nothing to clear that could be read either
+        }
+    }
+}
+
+// Export for Node.js (in the browser these are globals)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CHALLENGE_LEVELS, CHALLENGE_POINTS, Challenge, Leaderboard, challengeSettings, describeGoal, describeProgress
+    };
+}
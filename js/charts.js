@@ -0,0 +1,191 @@
+/**
+ * LineChart Class
+ * Small line chart of a TimeSeries against simulation time, drawn on its
+ * own <canvas> with the 2D context (independent of the p5 canvas)
+ */
+class LineChart {
+    /**
+     * Constructor for a chart on a canvas element
+     * @param {HTMLCanvasElement} canvas - Canvas to draw on
+     * @param {Object} options - Chart description
+     * @param {string} options.title - Title drawn in the top left corner
+     * @param {Array<Object>} options.lines - { name, label, color } per plotted series
+     * @param {number} options.minMax - Smallest top of the y axis (default 1)
+     * @param {Object} options.reference - Optional horizontal line { value, label }
+     */
+    constructor(canvas, options) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.title = options.title;
+        this.lines = options.lines;
+        this.minMax = options.minMax || 1;
+        this.reference = options.reference || null;
+        this.padding = { left: 36, right: 8, top: 18, bottom: 16 };
+    }
+    
+    /**
+     * Draw the series from time 0 to its last sample
+     * @param {TimeSeries} series - Sampled values
+     */
+    draw(series) {
+        const ctx = this.context;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const plotWidth = width - this.padding.left - this.padding.right;
+        const plotHeight = height - this.padding.top - this.padding.bottom;
+        
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = '10px Arial, sans-serif';
+        
+        // Axes scaled to the whole run so far
+        const duration = series.length > 0 ? Math.max(series.times[series.length - 1], 1000) : 1000;
+        const names = this.lines.map(line => line.name);
+        let top = Math.max(series.max(names), this.minMax);
+        if (this.reference) top = Math.max(top, this.reference.value * 1.2);
+        top = LineChart.niceCeiling(top);
+        
+        const x = time => this.padding.left + time / duration * plotWidth;
+        const y = value => this.padding.top + plotHeight - value / top * plotHeight;
+        
+        // Frame and axis labels
+        ctx.strokeStyle = '#ccc';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(this.padding.left, this.padding.top, plotWidth, plotHeight);
+        ctx.fillStyle = '#666';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(String(top), this.padding.left - 4, this.padding.top);
+        ctx.fillText('0', this.padding.left - 4, this.padding.top + plotHeight);
+        ctx.textBaseline = 'top';
+        ctx.fillText(`${(duration / 1000).toFixed(0)} s`, width - this.padding.right, height - this.padding.bottom + 2);
+        
+        // Title and legend
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = '#333';
+        ctx.fillText(this.title, this.padding.left, 2);
+        let legendX = this.padding.left + ctx.measureText(this.title).width + 12;
+        for (let line of this.lines) {
+            ctx.fillStyle = line.color;
+            ctx.fillText(line.label, legendX, 2);
+            legendX += ctx.measureText(line.label).width + 10;
+        }
+        
+        // Reference line, e.g. the exclusion timeout
+        if (this.reference) {
+            ctx.strokeStyle = '#F44336';
+            ctx.setLineDash([4, 3]);
+            ctx.beginPath();
+            ctx.moveTo(this.padding.left, y(this.reference.value));
+            ctx.lineTo(this.padding.left + plotWidth, y(this.reference.value));
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.fillStyle = '#F44336';
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'bottom';
+            ctx.fillText(this.reference.label, this.padding.left + plotWidth - 2, y(this.reference.value) - 1);
+        }
+        
+        // The series
+        ctx.lineWidth = 1.5;
+        for (let line of this.lines) {
+            const values = series.values[line.name];
+            ctx.strokeStyle = line.color;
+            ctx.beginPath();
+            for (let i = 0; i < series.length; i++) {
+                if (i === 0) {
+                    ctx.moveTo(x(series.times[i]), y(values[i]));
+                } else {
+                    ctx.lineTo(x(series.times[i]), y(values[i]));
+                }
+            }
+            ctx.stroke();
+        }
+    }
+    
+    /**
+     * Round an axis maximum up to 1, 2 or 5 times a power of ten
+     * @param {number} value - Largest value to show
+     * @returns {number} Rounded maximum
+     */
+    static niceCeiling(value) {
+        const power = Math.pow(10, Math.floor(Math.log10(value)));
+        for (let step of [1, 2, 5, 10]) {
+            if (value <= step * power) return step * power;
+        }
+        return 10 * power;
+    }
+}
+
+/**
+ * PolarHistogram Class
+ * Rose diagram of directions, e.g. where the participants turn their heads:
+ * one wedge per bin, longer for larger values (relative to the largest bin).
+ * Angles are in canvas orientation (0 to the right, clockwise).
+ */
+class PolarHistogram {
+    /**
+     * Constructor for a histogram on a canvas element
+     * @param {HTMLCanvasElement} canvas - Canvas to draw on
+     * @param {Object} options - { title, color (CSS color of the wedges) }
+     */
+    constructor(canvas, options) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.title = options.title;
+        this.color = options.color;
+    }
+    
+    /**
+     * Draw the bins
+     * @param {Array<Object>} bins - { angle (center of the bin, radians), seconds } per bin
+     */
+    draw(bins) {
+        const ctx = this.context;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const centerX = width / 2;
+        const centerY = height / 2 + 8;
+        const radius = Math.min(width, height - 16) / 2 - 12;
+        
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = '10px Arial, sans-serif';
+        ctx.fillStyle = '#333';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText(this.title, 2, 2);
+        
+        // Guide circles and axes
+        ctx.strokeStyle = '#ccc';
+        ctx.lineWidth = 1;
+        for (let ring of [0.5, 1]) {
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, radius * ring, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        ctx.beginPath();
+        ctx.moveTo(centerX - radius, centerY);
+        ctx.lineTo(centerX + radius, centerY);
+        ctx.moveTo(centerX, centerY - radius);
+        ctx.lineTo(centerX, centerY + radius);
+        ctx.stroke();
+        
+        let largest = 0;
+        for (let bin of bins) largest = Math.max(largest, bin.seconds);
+        if (largest === 0) return;
+        
+        // One wedge per bin
+        const halfWidth = Math.PI / bins.length;
+        ctx.fillStyle = this.color;
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
+        for (let bin of bins) {
+            const length = radius * bin.seconds / largest;
+            ctx.beginPath();
+            ctx.moveTo(centerX, centerY);
+            ctx.arc(centerX, centerY, length, bin.angle - halfWidth, bin.angle + halfWidth);
+            ctx.closePath();
+            ctx.fill();
+            ctx.stroke();
+        }
+    }
+}
@@ -0,0 +1,64 @@
+/**
+ * SimulationClock Class
+ * Simulation time that only advances in fixed steps, independent of the
+ * wall clock, so pausing, slow motion and fast-forward stay consistent
+ */
+class SimulationClock {
+    /**
+     * Constructor for a new clock
+     * @param {number} timestep - Duration of one simulation step in ms
+     */
+    constructor(timestep = 1000 / 60) {
+        this.timestep = timestep;
+        this.timeScale = 1; // 0.5 = slow motion, 2 = fast-forward
+        this.maxFrameTime = 250; // Longest wall-clock frame taken into account (ms)
+        this.reset();
+    }
+    
+    /**
+     * Reset the simulation time to zero
+     */
+    reset() {
+        this.time = 0;
+        this.accumulator = 0;
+        this.stepCount = 0;
+    }
+    
+    /**
+     * Current simulation time
+     * @returns {number} Elapsed simulation time in ms
+     */
+    now() {
+        return this.time;
+    }
+    
+    /**
+     * Feed elapsed wall-clock time into the accumulator
+     * @param {number} elapsed - Wall-clock time since the last frame in ms
+     * @returns {number} Number of fixed steps that are now due
+     */
+    advance(elapsed) {
+        // Clamp long frames (e.g. background tab) instead of dropping them
+        const frameTime = Math.min(Math.max(elapsed, 0), this.maxFrameTime);
+        this.accumulator += frameTime * this.timeScale;
+        
+        const steps = Math.floor(this.accumulator / this.timestep);
+        this.accumulator -= steps * this.timestep;
+        return steps;
+    }
+    
+    /**
+     * Advance the simulation time by one fixed step
+     * @returns {number} Duration of the step in seconds
+     */
+    step() {
+        this.time += this.timestep;
+        this.stepCount++;
+        return this.timestep / 1000;
+    }
+}
+
+// Export for Node.js (in the browser the class is a global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SimulationClock };
+}
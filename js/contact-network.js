@@ -0,0 +1,234 @@
+// Node.js: load the modules the browser gets from <script> tags
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./events.js'));
+}
+
+/**
+ * ContactNetwork Class
+ * Accumulates the eye contacts of the current run into a weighted graph:
+ * one node per participant, one edge per pair that ever had eye contact,
+ * with the number of contacts and their total duration. A contact between
+ * two participants lasts while at least one of them holds it.
+ * A new run clears the graph.
+ */
+class ContactNetwork {
+    /**
+     * Constructor for a network attached to a simulation
+     * @param {Simulation} simulation - Simulation whose eye contacts are collected
+     */
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.clear();
+        
+        this.handlers = {
+            runStarted: simulation.on('runStarted', () => this.clear()),
+            eyeContactStart: simulation.on('eyeContactStart', event => this.contactStarted(event)),
+            eyeContactEnd: simulation.on('eyeContactEnd', event => this.contactEnded(event))
+        };
+    }
+    
+    /**
+     * Forget all edges
+     */
+    clear() {
+        this.edgeMap = new Map(); // Pair key -> { a, b, count, duration, since, holders }
+    }
+    
+    /**
+     * Stop collecting (the graph is kept)
+     */
+    detach() {
+        for (let type of Object.keys(this.handlers)) {
+            this.simulation.off(type, this.handlers[type]);
+        }
+    }
+    
+    /**
+     * Edge of a pair, created when missing
+     * @param {number} a - Participant id
+     * @param {number} b - Other participant id
+     * @returns {Object} The edge (a is the smaller id)
+     */
+    edge(a, b) {
+        const low = Math.min(a, b);
+        const high = Math.max(a, b);
+        const key = `${low}-${high}`;
+        let edge = this.edgeMap.get(key);
+        if (!edge) {
+            edge = { a: low, b: high, count: 0, duration: 0, since: null, holders: new Set() };
+            this.edgeMap.set(key, edge);
+        }
+        return edge;
+    }
+    
+    /**
+     * A participant started holding eye contact with a partner
+     * @param {Object} event - The eyeContactStart event
+     */
+    contactStarted(event) {
+        const edge = this.edge(event.participantId, event.partnerId);
+        if (edge.holders.size === 0) {
+            edge.count++;
+            edge.since = event.time;
+        }
+        edge.holders.add(event.participantId);
+    }
+    
+    /**
+     * A participant stopped holding eye contact with a partner
+     * @param {Object} event - The eyeContactEnd event
+     */
+    contactEnded(event) {
+        if (event.partnerId === null) return;
+        const edge = this.edge(event.participantId, event.partnerId);
+        if (!edge.holders.delete(event.participantId)) return;
+        if (edge.holders.size === 0) {
+            edge.duration += event.time - edge.since;
+            edge.since = null;
+        }
+    }
+    
+    /**
+     * All edges, with the running contacts counted up to now
+     * @returns {Array<Object>} { a, b, count, duration (ms), active } per pair
+     */
+    edges() {
+        const now = this.simulation.clock.now();
+        const edges = [];
+        for (let edge of this.edgeMap.values()) {
+            const active = edge.since !== null;
+            edges.push({
+                a: edge.a,
+                b: edge.b,
+                count: edge.count,
+                duration: edge.duration + (active ? now - edge.since : 0),
+                active
+            });
+        }
+        return edges;
+    }
+    
+    /**
+     * Metrics of every participant: degree (number of different partners),
+     * contacts and contact time summed over the edges, betweenness centrality
+     * (share of the shortest paths between other participants that go through
+     * this one, 0 to 1; an edge is shorter the more contacts the pair had) and
+     * clustering coefficient (share of the participant's partners that had
+     * contact with each other, 0 to 1)
+     * @param {boolean} withBetweenness - False to skip the betweenness, which
+     *                                    takes long for large groups (it is then 0)
+     * @returns {Array<Object>} { id, degree, contacts, contactTime, betweenness, clustering } per participant
+     */
+    metrics(withBetweenness = true) {
+        const count = this.simulation.participants.length;
+        const adjacency = [];
+        const nodes = [];
+        for (let id = 0; id < count; id++) {
+            adjacency.push(new Map());
+            nodes.push({ id, degree: 0, contacts: 0, contactTime: 0, betweenness: 0, clustering: 0 });
+        }
+        
+        for (let edge of this.edges()) {
+            if (edge.a >= count || edge.b >= count) continue;
+            adjacency[edge.a].set(edge.b, 1 / edge.count);
+            adjacency[edge.b].set(edge.a, 1 / edge.count);
+            for (let id of [edge.a, edge.b]) {
+                nodes[id].contacts += edge.count;
+                nodes[id].contactTime += edge.duration;
+            }
+        }
+        
+        const betweenness = withBetweenness ? ContactNetwork.betweenness(adjacency) : null;
+        for (let node of nodes) {
+            node.degree = adjacency[node.id].size;
+            node.betweenness = betweenness ? betweenness[node.id] : 0;
+            node.clustering = ContactNetwork.clustering(adjacency, node.id);
+        }
+        return nodes;
+    }
+    
+    /**
+     * Betweenness centrality of a weighted, undirected graph (Brandes with
+     * Dijkstra), normalized by the number of pairs of other nodes
+     * @param {Array<Map<number, number>>} adjacency - Neighbor id -> edge length, by node id
+     * @returns {Array<number>} Centrality per node (0 to 1)
+     */
+    static betweenness(adjacency) {
+        const n = adjacency.length;
+        const centrality = new Array(n).fill(0);
+        const tolerance = 1e-9; // Path lengths closer than this are equal
+        
+        for (let source = 0; source < n; source++) {
+            if (adjacency[source].size === 0) continue;
+            
+            // Dijkstra counting the shortest paths (nodes in order of distance)
+            const order = [];
+            const predecessors = new Map([[source, []]]);
+            const paths = new Map([[source, 1]]);
+            const distance = new Map([[source, 0]]);
+            const frontier = new Set([source]);
+            while (frontier.size > 0) {
+                let v = null;
+                for (let candidate of frontier) {
+                    if (v === null || distance.get(candidate) < distance.get(v)) v = candidate;
+                }
+                frontier.delete(v);
+                order.push(v);
+                
+                for (let [w, length] of adjacency[v]) {
+                    const through = distance.get(v) + length;
+                    const known = distance.has(w) ? distance.get(w) : Infinity;
+                    if (through < known - tolerance) {
+                        if (known !== Infinity && !frontier.has(w)) continue; // Already settled
+                        distance.set(w, through);
+                        paths.set(w, paths.get(v));
+                        predecessors.set(w, [v]);
+                        frontier.add(w);
+                    } else if (Math.abs(through - known) <= tolerance && frontier.has(w)) {
+                        paths.set(w, paths.get(w) + paths.get(v));
+                        predecessors.get(w).push(v);
+                    }
+                }
+            }
+            
+            // Accumulate the dependencies from the farthest nodes back
+            const dependency = new Map();
+            for (let i = order.length - 1; i >= 0; i--) {
+                const w = order[i];
+                const share = (1 + (dependency.get(w) || 0)) / paths.get(w);
+                for (let v of predecessors.get(w)) {
+                    dependency.set(v, (dependency.get(v) || 0) + paths.get(v) * share);
+                }
+                if (w !== source) centrality[w] += dependency.get(w) || 0;
+            }
+        }
+        
+        // Each pair was counted from both ends
+        const pairs = (n - 1) * (n - 2);
+        return centrality.map(value => pairs > 0 ? value / pairs : 0);
+    }
+    
+    /**
+     * Local clustering coefficient of a node
+     * @param {Array<Map<number, number>>} adjacency - Neighbor id -> edge length, by node id
+     * @param {number} id - Node id
+     * @returns {number} Share of the neighbor pairs that are connected (0 with fewer than 2 neighbors)
+     */
+    static clustering(adjacency, id) {
+        const around = Array.from(adjacency[id].keys());
+        if (around.length < 2) return 0;
+        
+        let links = 0;
+        for (let i = 0; i < around.length; i++) {
+            for (let j = i + 1; j < around.length; j++) {
+                if (adjacency[around[i]].has(around[j])) links++;
+            }
+        }
+        return links / (around.length * (around.length - 1) / 2);
+    }
+}
+
+// Export for Node.js (in the browser the class is a global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ContactNetwork };
+}
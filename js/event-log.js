@@ -0,0 +1,152 @@
+// Node.js: load the modules the browser gets from <script> tags
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./events.js'));
+}
+
+// First CSV columns, always present (event positions are split into x and y)
+const EVENT_LOG_COLUMNS = ['time', 'type', 'participantId', 'x', 'y', 'partnerId', 'partnerX', 'partnerY'];
+
+/**
+ * EventLog Class
+ * Records every event of the current run of a simulation, in order, and
+ * exports them as JSON Lines or CSV together with the settings and seed
+ * (a new run clears the log). Past maxEntries events the oldest ones are
+ * dropped, so long runs of large groups keep a bounded amount of memory.
+ */
+class EventLog {
+    /**
+     * Constructor for a log attached to a simulation
+     * @param {Simulation} simulation - Simulation whose events are recorded
+     * @param {Object} options - Optional { maxEntries (events kept, default 100000) }
+     */
+    constructor(simulation, options = {}) {
+        this.simulation = simulation;
+        this.maxEntries = options.maxEntries || 100000;
+        this.run = null;    // The runStarted event (seed and settings)
+        this.entries = [];  // Events of the run after runStarted, in order
+        this.droppedCount = 0;  // Oldest events of the run dropped for the limit
+        this.truncated = false; // True once events were dropped
+        
+        this.handler = simulation.on('*', event => this.record(event));
+    }
+    
+    /**
+     * Add an event to the log
+     * @param {Object} event - Simulation event
+     */
+    record(event) {
+        // Steps carry no information of their own
+        if (event.type === 'step') return;
+        
+        if (event.type === 'runStarted') {
+            this.run = event;
+            this.entries = [];
+            this.droppedCount = 0;
+            this.truncated = false;
+            return;
+        }
+        this.entries.push(event);
+        
+        if (this.entries.length > this.maxEntries) {
+            // Drop the oldest tenth at once rather than shifting the array on every event
+            const dropped = this.entries.length - Math.floor(this.maxEntries * 0.9);
+            this.entries.splice(0, dropped);
+            this.droppedCount += dropped;
+            this.truncated = true;
+        }
+    }
+    
+    /**
+     * Stop recording (the recorded events are kept)
+     */
+    detach() {
+        this.simulation.off('*', this.handler);
+    }
+    
+    /**
+     * Export as JSON Lines: the runStarted event (with seed and settings, and
+     * droppedEvents when the oldest events were dropped), then one event per line
+     * @returns {string} The log, one JSON object per line
+     * @throws {Error} If no run has started yet
+     */
+    toJSONL() {
+        this.checkRun();
+        const run = this.truncated ? Object.assign({}, this.run, { droppedEvents: this.droppedCount }) : this.run;
+        return [run].concat(this.entries).map(event => JSON.stringify(event)).join('\n') + '\n';
+    }
+    
+    /**
+     * Export as CSV: seed, settings and the number of dropped events (if any)
+     * on '#' comment lines, then a header and
+     * one row per event. Columns beyond EVENT_LOG_COLUMNS come from event
+     * specific fields (e.g. duration for eyeContactEnd).
+     * @returns {string} The log as CSV text
+     * @throws {Error} If no run has started yet
+     */
+    toCSV() {
+        this.checkRun();
+        const rows = this.entries.map(event => this.flatten(event));
+        
+        // Extra columns in the order they first appear
+        const columns = EVENT_LOG_COLUMNS.slice();
+        for (let row of rows) {
+            for (let key of Object.keys(row)) {
+                if (!columns.includes(key)) columns.push(key);
+            }
+        }
+        
+        const lines = [
+            `# seed: ${this.run.seed}`,
+            `# settings: ${JSON.stringify(this.run.settings)}`
+        ];
+        if (this.truncated) {
+            lines.push(`# dropped events: ${this.droppedCount} (oldest first, over the limit of ${this.maxEntries})`);
+        }
+        lines.push(columns.join(','));
+        for (let row of rows) {
+            lines.push(columns.map(column => EventLog.csvCell(row[column])).join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+    
+    /**
+     * One event as a flat CSV row
+     * @param {Object} event - Recorded event
+     * @returns {Object} Column name -> value
+     */
+    flatten(event) {
+        const { position, partnerPosition, ...fields } = event;
+        return Object.assign(fields, {
+            x: position ? position.x : null,
+            y: position ? position.y : null,
+            partnerX: partnerPosition ? partnerPosition.x : null,
+            partnerY: partnerPosition ? partnerPosition.y : null
+        });
+    }
+    
+    /**
+     * Make sure there is a run to export
+     * @throws {Error} If no run has started since the log was attached
+     */
+    checkRun() {
+        if (!this.run) {
+            throw new Error('EventLog: no run has started since the log was attached');
+        }
+    }
+    
+    /**
+     * Format a value for a CSV cell (empty for missing values, quoted if needed)
+     * @param {*} value - Cell value
+     * @returns {string} The cell text
+     */
+    static csvCell(value) {
+        if (value === null || value === undefined) return '';
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+// Export for Node.js (in the browser these are globals)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EVENT_LOG_COLUMNS, EventLog };
+}
@@ -0,0 +1,88 @@
+// Event types emitted by the simulation
+const EVENT_TYPES = Object.freeze([
+    'runStarted',       // A new run was initialized (gives the settings and seed)
+    'eyeContactStart',  // A participant's gaze with a partner starts to count (switched: straight from another partner)
+    'eyeContactEnd',    // ...and stops (partner lost, or a new partner)
+    'exclusionStarted', // A participant is excluded and starts leaving
+    'reachedEdge',      // An excluded participant arrived at the edge
+    'reentered',        // A participant at the edge came back in after eye contact
+    'entered',          // A participant walked into the arena at the start
+    'gameOver',         // Everybody is excluded
+    'step'              // A simulation step ended (every timestep, e.g. for recording)
+]);
+
+/**
+ * EventBus Class
+ * Minimal publish/subscribe hub. Handlers get one plain event object;
+ * subscribing to '*' receives every event.
+ */
+class EventBus {
+    /**
+     * Constructor for an empty bus
+     */
+    constructor() {
+        this.handlers = new Map(); // Event type -> array of handlers
+    }
+    
+    /**
+     * Subscribe to an event type
+     * @param {string} type - One of EVENT_TYPES, or '*' for all events
+     * @param {Function} handler - Called with the event object
+     * @returns {Function} The handler (to pass to off() later)
+     * @throws {Error} For an unknown event type
+     */
+    on(type, handler) {
+        if (type !== '*' && !EVENT_TYPES.includes(type)) {
+            throw new Error(`Unknown event type "${type}"`);
+        }
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, []);
+        }
+        this.handlers.get(type).push(handler);
+        return handler;
+    }
+    
+    /**
+     * Unsubscribe a handler
+     * @param {string} type - Event type it was subscribed to
+     * @param {Function} handler - The handler given to on()
+     */
+    off(type, handler) {
+        const handlers = this.handlers.get(type);
+        if (!handlers) return;
+        const index = handlers.indexOf(handler);
+        if (index !== -1) handlers.splice(index, 1);
+    }
+    
+    /**
+     * Check if anybody listens to an event type (so callers can skip
+     * building events nobody receives)
+     * @param {string} type - Event type
+     * @returns {boolean} True if at least one handler would be called
+     */
+    hasListeners(type) {
+        const handlers = this.handlers.get(type);
+        const all = this.handlers.get('*');
+        return (handlers !== undefined && handlers.length > 0) || (all !== undefined && all.length > 0);
+    }
+    
+    /**
+     * Send an event to its subscribers, then to the '*' subscribers
+     * @param {Object} event - Event object with at least a type
+     */
+    emit(event) {
+        for (let type of [event.type, '*']) {
+            const handlers = this.handlers.get(type);
+            if (!handlers) continue;
+            // Copy, so handlers can unsubscribe while being called
+            for (let handler of handlers.slice()) {
+                handler(event);
+            }
+        }
+    }
+}
+
+// Export for Node.js (in the browser these are globals)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EVENT_TYPES, EventBus };
+}
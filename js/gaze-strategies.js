@@ -0,0 +1,314 @@
+// Node.js: load the modules the browser gets from <script> tags
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./vector.js'));
+}
+
+/**
+ * GazeStrategy Class
+ * Decides where a participant's head should point. Each participant gets its
+ * own strategy instance, so strategies can keep per-participant state.
+ * Subclasses set participant.headRotationTarget in update(); the participant
+ * then turns its head smoothly towards that target.
+ */
+class GazeStrategy {
+    /**
+     * Choose the head rotation target for this step
+     * @param {Participant} participant - The participant whose head is steered
+     * @param {number} deltaTime - Time since last step in seconds
+     * @param {Arena} arena - The playing area
+     */
+    update(participant, deltaTime, arena) {
+        participant.headRotationTarget = participant.bodyDirection;
+    }
+    
+    /**
+     * Point the head at a position, within the head's rotation limit
+     * @param {Participant} participant - The participant
+     * @param {number} x - Target x position
+     * @param {number} y - Target y position
+     */
+    lookAt(participant, x, y) {
+        const angle = Math.atan2(y - participant.position.y, x - participant.position.x);
+        this.lookToward(participant, angle);
+    }
+    
+    /**
+     * Point the head in a direction, within the head's rotation limit
+     * @param {Participant} participant - The participant
+     * @param {number} angle - Wanted head direction in radians
+     */
+    lookToward(participant, angle) {
+        const relative = Vector2.wrapAngle(angle - participant.bodyDirection);
+        const limit = participant.maxHeadRotation;
+        participant.headRotationTarget = participant.bodyDirection + Math.max(-limit, Math.min(limit, relative));
+    }
+    
+    /**
+     * Nearest other participant matching a condition, within vision distance
+     * @param {Participant} participant - The participant looking around
+     * @param {Function} accepts - Returns true for participants worth looking at
+     * @returns {Participant|null} The nearest match, or null
+     */
+    findNearest(participant, accepts) {
+        let nearest = null;
+        let nearestDistance = participant.visionDistance * participant.visionDistance;
+        
+        const visit = other => {
+            if (other === participant || !accepts(other)) return false;
+            const dx = other.position.x - participant.position.x;
+            const dy = other.position.y - participant.position.y;
+            const distance = dx * dx + dy * dy;
+            if (distance < nearestDistance) {
+                nearest = other;
+                nearestDistance = distance;
+            }
+            return false;
+        };
+        
+        if (participant.grid) {
+            participant.grid.forEachInCircle(participant.position.x, participant.position.y,
+                participant.visionDistance, visit);
+        } else {
+            participant.allParticipants.forEach(visit);
+        }
+        return nearest;
+    }
+}
+
+/**
+ * Look where you walk: the head follows the body direction
+ */
+class WalkDirectionGaze extends GazeStrategy {
+}
+
+/**
+ * Scan: the head sweeps left and right around the walking direction
+ */
+class ScanGaze extends GazeStrategy {
+    /**
+     * Constructor for a scanning gaze
+     * @param {number} phase - Start point of the sweep (so participants are not in sync)
+     */
+    constructor(phase = 0) {
+        super();
+        this.time = phase;
+        this.frequency = 1.2; // rad/s of the sine sweep
+        this.amplitude = Math.PI / 2; // Up to 90 degrees to each side
+    }
+    
+    /**
+     * Sweep the head around the body direction
+     * @param {Participant} participant - The participant
+     * @param {number} deltaTime - Time since last step in seconds
+     */
+    update(participant, deltaTime) {
+        this.time += deltaTime;
+        this.lookToward(participant, participant.bodyDirection + Math.sin(this.time * this.frequency) * this.amplitude);
+    }
+}
+
+/**
+ * Seek the nearest unseen person: look at the closest participant that
+ * currently has no eye contact with anybody
+ */
+class SeekUnseenGaze extends GazeStrategy {
+    /**
+     * Look at the nearest participant without eye contact
+     * @param {Participant} participant - The participant
+     */
+    update(participant) {
+        const target = this.findNearest(participant, other =>
+            !other.isExcluded && !other.isMovingToEdge && !other.hasEyeContact);
+        
+        if (target) {
+            this.lookAt(participant, target.position.x, target.position.y);
+        } else {
+            super.update(participant);
+        }
+    }
+}
+
+/**
+ * Hold the last partner: keep looking at the last eye contact partner while
+ * they are still in the game
+ */
+class HoldPartnerGaze extends GazeStrategy {
+    /**
+     * Constructor for a partner-holding gaze
+     */
+    constructor() {
+        super();
+        this.partner = null;
+    }
+    
+    /**
+     * Follow the last partner, or look where we walk without one
+     * @param {Participant} participant - The participant
+     */
+    update(participant) {
+        if (participant.acquiringPartner) {
+            this.partner = participant.acquiringPartner;
+        }
+        
+        if (this.partner && !this.partner.isExcluded && !this.partner.isMovingToEdge) {
+            this.lookAt(participant, this.partner.position.x, this.partner.position.y);
+        } else {
+            this.partner = null;
+            super.update(participant);
+        }
+    }
+}
+
+/**
+ * Look for someone at the edge: watch the nearest excluded participant
+ * waiting at the edge, to help them back in
+ */
+class EdgeWatchGaze extends GazeStrategy {
+    /**
+     * Look at the nearest excluded participant at the edge
+     * @param {Participant} participant - The participant
+     */
+    update(participant) {
+        const target = this.findNearest(participant, other => other.isExcluded && !other.isMovingToEdge);
+        
+        if (target) {
+            this.lookAt(participant, target.position.x, target.position.y);
+        } else {
+            super.update(participant);
+        }
+    }
+}
+
+/**
+ * Look toward the center of the arena (used while entering)
+ */
+class CenterGaze extends GazeStrategy {
+    /**
+     * Look at the center of the arena
+     * @param {Participant} participant - The participant
+     */
+    update(participant) {
+        participant.headRotationTarget = Math.atan2(-participant.position.y, -participant.position.x);
+    }
+}
+
+/**
+ * Edge sweep (used by excluded participants waiting at the edge):
+ * 80% periodic sweep across the arena, 20% random jumps
+ */
+class EdgeSweepGaze extends GazeStrategy {
+    /**
+     * Constructor for the edge sweep
+     */
+    constructor() {
+        super();
+        this.sweepTime = 0;
+    }
+    
+    /**
+     * Sweep the gaze across the arena from the edge
+     * @param {Participant} participant - The participant
+     * @param {number} deltaTime - Time since last step in seconds
+     * @param {Arena} arena - The playing area
+     */
+    update(participant, deltaTime, arena) {
+        // Define gaze behavior based on position on the edge
+        const position = participant.position;
+        
+        // Update time for the sweep
+        this.sweepTime += deltaTime;
+        
+        // Use mixed approach: 80% periodic sweep, 20% random jumps
+        if (participant.rng.random() < 0.2) {
+            // Random jump - look at a random point in the arena
+            const target = arena.randomPoint(participant.rng, 0.8);
+            let targetAngle = Math.atan2(target.y - position.y, target.x - position.x);
+            // Set to jump immediately to this angle
+            participant.headDirection = targetAngle;
+            participant.headRotationTarget = targetAngle;
+            this.sweepTime = 0; // Reset sweep timer after a jump
+        } else {
+            // Periodic sweep - sweep back and forth across the arena
+            // The sweep is centered on the inward normal of the edge we stand on
+            const centerAngle = arena.inwardNormal(position.x, position.y).heading();
+            let sweepRange = Math.PI * 0.9; // About 160 degrees sweep range
+            
+            // Calculate a periodic sweep using a sine wave
+            // The sine wave oscillates between -1 and 1, so we scale by half the sweep range
+            const frequency = 0.7; // Slower sweep
+            participant.headRotationTarget = centerAngle + (Math.sin(this.sweepTime * frequency) * (sweepRange / 2));
+        }
+    }
+}
+
+/**
+ * Manual gaze: a person aims the head (e.g. with the mouse) at a point of
+ * the arena. The head turns there within its rotation limit, at the usual
+ * head speed; without a point it follows the body.
+ */
+class ManualGaze extends GazeStrategy {
+    /**
+     * Constructor for a gaze steered by a control
+     * @param {Object} control - Input { lookX, lookY }: aimed point in arena coordinates (null for none)
+     */
+    constructor(control) {
+        super();
+        this.control = control;
+    }
+    
+    /**
+     * Look at the aimed point
+     * @param {Participant} participant - The participant
+     */
+    update(participant) {
+        if (this.control.lookX === null || this.control.lookY === null) {
+            participant.headRotationTarget = participant.bodyDirection;
+        } else {
+            this.lookAt(participant, this.control.lookX, this.control.lookY);
+        }
+    }
+}
+
+// Strategies that can be chosen for participants inside the arena
+const GAZE_STRATEGIES = {
+    walk: { label: "Regarder où l'on marche", create: () => new WalkDirectionGaze() },
+    scan: { label: 'Balayer du regard', create: rng => new ScanGaze(rng.random(0, Math.PI * 2)) },
+    seekUnseen: { label: 'Chercher la personne isolée la plus proche', create: () => new SeekUnseenGaze() },
+    holdPartner: { label: 'Garder le dernier partenaire', create: () => new HoldPartnerGaze() },
+    edgeWatch: { label: 'Chercher quelqu\'un au bord', create: () => new EdgeWatchGaze() }
+};
+
+/**
+ * Create the gaze strategy for one participant
+ * @param {string} id - Key of GAZE_STRATEGIES, or 'mixed' for a random one per participant
+ * @param {SeededRandom} rng - Random source of the simulation
+ * @returns {GazeStrategy} A new strategy instance
+ */
+function createGazeStrategy(id, rng) {
+    if (id === 'mixed') {
+        const ids = Object.keys(GAZE_STRATEGIES);
+        id = ids[Math.floor(rng.random(ids.length))];
+    }
+    
+    const entry = GAZE_STRATEGIES[id] || GAZE_STRATEGIES.walk;
+    const strategy = entry.create(rng);
+    strategy.id = GAZE_STRATEGIES[id] ? id : 'walk';
+    return strategy;
+}
+
+// Export for Node.js (in the browser these are globals)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GazeStrategy,
+        WalkDirectionGaze,
+        ScanGaze,
+        SeekUnseenGaze,
+        HoldPartnerGaze,
+        EdgeWatchGaze,
+        CenterGaze,
+        EdgeSweepGaze,
+        ManualGaze,
+        GAZE_STRATEGIES,
+        createGazeStrategy
+    };
+}
@@ -0,0 +1,291 @@
+// Node.js: load the modules the browser gets from <script> tags
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./vector.js'));
+    Object.assign(globalThis, require('./participant.js'));
+}
+
+// Layers of the heatmap, by overlay mode
+const HEATMAP_LAYERS = ['occupancy', 'gaze', 'exclusions'];
+
+/**
+ * SpatialHeatmap Class
+ * Accumulates, over the current run, where things happened on the floor,
+ * on a grid of square cells covering the arena:
+ * - occupancy: participant-seconds spent in each cell
+ * - gaze: seconds each cell spent inside the vision cone of a participant
+ *   in the space (summed over the participants), from their head direction,
+ *   vision angle and vision distance
+ * - exclusions: number of exclusions triggered in each cell
+ * It also keeps a histogram of the head directions of the participants in
+ * the space. Samples are taken at most every interval of simulation time
+ * and weighted by the time since the previous one. A new run clears it.
+ * The gaze layer is the costly one: it can be turned off, and when turned
+ * back on it starts again from that time (gazeSince).
+ */
+class SpatialHeatmap {
+    /**
+     * Constructor for a heatmap attached to a simulation
+     * @param {Simulation} simulation - Simulation to follow
+     * @param {Object} options - Optional { cells (across the arena, default 40),
+     *                           interval (ms between samples, default 100),
+     *                           directionBins (default 36),
+     *                           gazeCoverage (fill the gaze layer, default true) }
+     */
+    constructor(simulation, options = {}) {
+        this.simulation = simulation;
+        this.cellsAcross = options.cells || 40;
+        this.interval = options.interval || 100;
+        this.directionBins = options.directionBins || 36;
+        this.gazeCoverage = options.gazeCoverage !== false;
+        this.clear();
+        
+        this.handlers = {
+            runStarted: simulation.on('runStarted', () => this.start()),
+            step: simulation.on('step', event => this.sample(event.time)),
+            exclusionStarted: simulation.on('exclusionStarted', event => this.recordExclusion(event))
+        };
+    }
+    
+    /**
+     * Forget everything (the grid is laid out again at the next run)
+     */
+    clear() {
+        this.bounds = null;
+        this.cellSize = 0;
+        this.columns = 0;
+        this.rows = 0;
+        this.inArena = null;   // 1 for the cells whose center is in the arena
+        this.layers = {};
+        this.exclusionPoints = [];
+        this.directions = new Float64Array(this.directionBins);
+        this.lastSample = null;
+        this.gazeSince = this.gazeCoverage ? 0 : null; // Simulation time the gaze layer starts from
+    }
+    
+    /**
+     * Lay out the grid on the arena of the new run
+     */
+    start() {
+        this.clear();
+        const arena = this.simulation.arena;
+        this.bounds = arena.bounds;
+        this.cellSize = arena.size / this.cellsAcross;
+        this.columns = Math.ceil((this.bounds.right - this.bounds.left) / this.cellSize);
+        this.rows = Math.ceil((this.bounds.bottom - this.bounds.top) / this.cellSize);
+        
+        const count = this.columns * this.rows;
+        for (let name of HEATMAP_LAYERS) {
+            this.layers[name] = new Float64Array(count);
+        }
+        this.inArena = new Uint8Array(count);
+        for (let row = 0; row < this.rows; row++) {
+            for (let column = 0; column < this.columns; column++) {
+                const center = this.cellCenter(column, row);
+                this.inArena[row * this.columns + column] = arena.contains(center.x, center.y) ? 1 : 0;
+            }
+        }
+    }
+    
+    /**
+     * Turn the gaze layer on or off; turned on, it starts again from now
+     * @param {boolean} enabled - Whether to fill the gaze layer
+     */
+    setGazeCoverage(enabled) {
+        if (enabled === this.gazeCoverage) return;
+        this.gazeCoverage = enabled;
+        this.gazeSince = enabled ? this.simulation.clock.now() : null;
+        if (enabled && this.layers.gaze) {
+            this.layers.gaze.fill(0);
+        }
+    }
+    
+    /**
+     * Stop following the simulation (the maps are kept)
+     */
+    detach() {
+        for (let type of Object.keys(this.handlers)) {
+            this.simulation.off(type, this.handlers[type]);
+        }
+    }
+    
+    /**
+     * Center of a cell
+     * @param {number} column - Cell column
+     * @param {number} row - Cell row
+     * @returns {Object} { x, y } in arena coordinates
+     */
+    cellCenter(column, row) {
+        return {
+            x: this.bounds.left + (column + 0.5) * this.cellSize,
+            y: this.bounds.top + (row + 0.5) * this.cellSize
+        };
+    }
+    
+    /**
+     * Cell containing a point (points outside the grid go to the nearest cell)
+     * @param {number} x - Point x
+     * @param {number} y - Point y
+     * @returns {number} Cell index
+     */
+    cellIndex(x, y) {
+        const column = Math.min(Math.max(Math.floor((x - this.bounds.left) / this.cellSize), 0), this.columns - 1);
+        const row = Math.min(Math.max(Math.floor((y - this.bounds.top) / this.cellSize), 0), this.rows - 1);
+        return row * this.columns + column;
+    }
+    
+    /**
+     * Add the current positions and gazes, weighted by the time since the last sample
+     * @param {number} time - Simulation time in ms
+     */
+    sample(time) {
+        if (!this.bounds) return;
+        if (this.lastSample === null) {
+            this.lastSample = time;
+            return;
+        }
+        if (time - this.lastSample < this.interval) return;
+        const weight = (time - this.lastSample) / 1000;
+        this.lastSample = time;
+        
+        const occupancy = this.layers.occupancy;
+        const binWidth = Math.PI * 2 / this.directionBins;
+        const watchers = [];
+        for (let p of this.simulation.participants) {
+            occupancy[this.cellIndex(p.position.x, p.position.y)] += weight;
+            
+            if (p.state === ParticipantState.INSIDE || p.state === ParticipantState.REENTERING) {
+                watchers.push(p);
+                const angle = Vector2.wrapAngle(p.headDirection) + Math.PI;
+                this.directions[Math.floor(angle / binWidth) % this.directionBins] += weight;
+            }
+        }
+        
+        if (this.gazeCoverage) {
+            this.addVisionCones(watchers, weight);
+        }
+    }
+    
+    /**
+     * Add the cells seen by some participants
+     * @param {Array<Participant>} watchers - Participants whose vision cones count
+     * @param {number} weight - Seconds to add per participant seeing a cell
+     */
+    addVisionCones(watchers, weight) {
+        const gaze = this.layers.gaze;
+        const cellRange = (value, origin, count) =>
+            Math.min(Math.max(Math.floor((value - origin) / this.cellSize), 0), count - 1);
+        for (let p of watchers) {
+            const reach = p.visionDistance * p.visionDistance;
+            const halfAngle = p.visionAngle / 2;
+            
+            // Only the cells whose center can be in the cone are visited
+            // (half a cell of margin around its bounding box)
+            const box = SpatialHeatmap.coneBounds(p.position, p.headDirection, halfAngle, p.visionDistance);
+            const margin = this.cellSize / 2;
+            const firstColumn = cellRange(box.left - margin, this.bounds.left, this.columns);
+            const lastColumn = cellRange(box.right + margin, this.bounds.left, this.columns);
+            const firstRow = cellRange(box.top - margin, this.bounds.top, this.rows);
+            const lastRow = cellRange(box.bottom + margin, this.bounds.top, this.rows);
+            for (let row = firstRow; row <= lastRow; row++) {
+                const dy = this.bounds.top + (row + 0.5) * this.cellSize - p.position.y;
+                for (let column = firstColumn; column <= lastColumn; column++) {
+                    const index = row * this.columns + column;
+                    if (!this.inArena[index]) continue;
+                    const dx = this.bounds.left + (column + 0.5) * this.cellSize - p.position.x;
+                    if (dx * dx + dy * dy > reach) continue;
+                    if (Math.abs(Vector2.wrapAngle(Math.atan2(dy, dx) - p.headDirection)) <= halfAngle) {
+                        gaze[index] += weight;
+                    }
+                }
+            }
+        }
+    }
+    
+    /**
+     * Bounding box of a vision cone (a circular sector)
+     * @param {Object} apex - { x, y } position of the eyes
+     * @param {number} direction - Head direction in radians
+     * @param {number} halfAngle - Half the vision angle in radians
+     * @param {number} distance - Vision distance
+     * @returns {Object} { left, right, top, bottom }
+     */
+    static coneBounds(apex, direction, halfAngle, distance) {
+        const xs = [apex.x];
+        const ys = [apex.y];
+        const addPoint = angle => {
+            xs.push(apex.x + Math.cos(angle) * distance);
+            ys.push(apex.y + Math.sin(angle) * distance);
+        };
+        addPoint(direction - halfAngle);
+        addPoint(direction + halfAngle);
+        
+        // The arc also reaches the farthest point in each axis direction it spans
+        for (let axis = 0; axis < 4; axis++) {
+            const angle = axis * Math.PI / 2;
+            if (Math.abs(Vector2.wrapAngle(angle - direction)) <= halfAngle) {
+                addPoint(angle);
+            }
+        }
+        return { left: Math.min(...xs), right: Math.max(...xs), top: Math.min(...ys), bottom: Math.max(...ys) };
+    }
+    
+    /**
+     * Mark where an exclusion was triggered
+     * @param {Object} event - The exclusionStarted event
+     */
+    recordExclusion(event) {
+        if (!this.bounds) return;
+        this.layers.exclusions[this.cellIndex(event.position.x, event.position.y)]++;
+        this.exclusionPoints.push({ x: event.position.x, y: event.position.y, time: event.time });
+    }
+    
+    /**
+     * Largest value of a layer over the cells of the arena
+     * @param {string} name - Layer name (see HEATMAP_LAYERS)
+     * @returns {number} Largest value (0 when empty)
+     */
+    max(name) {
+        const values = this.layers[name];
+        let largest = 0;
+        if (!values) return largest;
+        for (let i = 0; i < values.length; i++) {
+            if (values[i] > largest) largest = values[i];
+        }
+        return largest;
+    }
+    
+    /**
+     * Share of the arena never covered by a layer, e.g. the dead zones of the gaze
+     * @param {string} name - Layer name (see HEATMAP_LAYERS)
+     * @returns {number} Share of the arena cells at 0 (0 to 1)
+     */
+    emptyShare(name) {
+        const values = this.layers[name];
+        if (!values) return 0;
+        let cells = 0;
+        let empty = 0;
+        for (let i = 0; i < values.length; i++) {
+            if (!this.inArena[i]) continue;
+            cells++;
+            if (values[i] === 0) empty++;
+        }
+        return cells > 0 ? empty / cells : 0;
+    }
+    
+    /**
+     * Histogram of the head directions
+     * @returns {Array<Object>} { angle (center of the bin, radians as headDirection), seconds } per bin
+     */
+    directionHistogram() {
+        const binWidth = Math.PI * 2 / this.directionBins;
+        return Array.from(this.directions, (seconds, i) => ({
+            angle: -Math.PI + (i + 0.5) * binWidth,
+            seconds
+        }));
+    }
+}
+
+// Export for Node.js (in the browser these are globals)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SpatialHeatmap, HEATMAP_LAYERS };
+}
@@ -0,0 +1,124 @@
+// French names of the lifecycle states, for the inspector
+const STATE_LABELS = {
+    entering: 'entre dans l\'espace',
+    inside: 'dans l\'espace',
+    leaving: 'exclu, va vers le bord',
+    atEdge: 'exclu, attend au bord',
+    reentering: 'revient dans l\'espace'
+};
+
+/**
+ * ParticipantInspector Class
+ * Detail panel of one participant chosen by clicking on the canvas: its
+ * numbers, how close it is to the exclusion timeout, and a mini timeline
+ * of its lifecycle states
+ */
+class ParticipantInspector {
+    /**
+     * Constructor for the inspector panel
+     * @param {Object} stateColors - Color per lifecycle state, as [r, g, b] (the renderer's)
+     */
+    constructor(stateColors) {
+        this.stateColors = stateColors;
+        this.participant = null; // Selected participant
+        this.follow = false;     // Keep the selected participant at the center of the canvas
+        
+        this.panel = document.getElementById('inspector');
+        this.timeline = document.getElementById('inspector-timeline');
+        this.fields = {};
+        for (let name of ['id', 'state', 'since-contact', 'contacts', 'exits', 'time-inside', 'time-outside', 'partner']) {
+            this.fields[name] = document.getElementById(`inspector-${name}`);
+        }
+        this.contactBar = document.getElementById('inspector-contact-bar');
+    }
+    
+    /**
+     * Select a participant (or none) and show the panel accordingly
+     * @param {Participant|null} participant - Participant to inspect
+     */
+    select(participant) {
+        this.participant = participant;
+        if (this.panel) this.panel.hidden = participant === null;
+    }
+    
+    /**
+     * Participant under a point of the arena
+     * @param {Array<Participant>} participants - All participants
+     * @param {number} x - Point x in arena coordinates
+     * @param {number} y - Point y in arena coordinates
+     * @returns {Participant|null} The closest participant within a few pixels of its body
+     */
+    static participantAt(participants, x, y) {
+        let closest = null;
+        let closestDistance = Infinity;
+        for (let p of participants) {
+            const distance = Math.hypot(p.position.x - x, p.position.y - y);
+            if (distance <= p.size / 2 + 4 && distance < closestDistance) {
+                closest = p;
+                closestDistance = distance;
+            }
+        }
+        return closest;
+    }
+    
+    /**
+     * Show the current numbers of the selected participant
+     * @param {SimulationClock} clock - Simulation clock (for the times)
+     */
+    update(clock) {
+        const p = this.participant;
+        if (!p || !this.panel) return;
+        
+        const now = clock.now();
+        const inPlay = p.state === ParticipantState.INSIDE || p.state === ParticipantState.REENTERING;
+        const sinceContact = p.hasEyeContact ? 0 : now - p.lastEyeContactTime;
+        
+        this.fields.id.textContent = p.id;
+        this.fields.state.textContent = `${STATE_LABELS[p.state]} (depuis ${((now - p.stateSince) / 1000).toFixed(1)} s)`;
+        this.fields['since-contact'].textContent = inPlay
+            ? `${(sinceContact / 1000).toFixed(1)} s / ${(p.exclusionTimeout / 1000).toFixed(1)} s`
+            : '-';
+        this.fields.contacts.textContent = p.eyeContactCount;
+        this.fields.exits.textContent = p.exitCount;
+        this.fields['time-inside'].textContent = `${(p.totalTimeInside / 1000).toFixed(1)} s`;
+        this.fields['time-outside'].textContent = `${(p.totalTimeOutside / 1000).toFixed(1)} s`;
+        this.fields.partner.textContent = p.eyeContactPartnerId === null ? 'aucun' : p.eyeContactPartnerId;
+        
+        // Bar filling up toward the exclusion
+        if (this.contactBar) {
+            const fraction = inPlay ? Math.min(sinceContact / p.exclusionTimeout, 1) : 0;
+            this.contactBar.style.width = `${fraction * 100}%`;
+            this.contactBar.style.backgroundColor = fraction > 0.75 ? '#F44336' : '#4CAF50';
+        }
+        
+        this.drawTimeline(now);
+    }
+    
+    /**
+     * Draw the states of the participant since the start of the run, one
+     * colored segment per state, with a tick at each change
+     * @param {number} now - Current simulation time in ms
+     */
+    drawTimeline(now) {
+        if (!this.timeline) return;
+        const ctx = this.timeline.getContext('2d');
+        const width = this.timeline.width;
+        const height = this.timeline.height;
+        const history = this.participant.stateHistory;
+        const duration = Math.max(now, 1);
+        
+        ctx.clearRect(0, 0, width, height);
+        for (let i = 0; i < history.length; i++) {
+            const start = history[i].time / duration * width;
+            const end = (i + 1 < history.length ? history[i + 1].time : now) / duration * width;
+            const c = this.stateColors[history[i].to];
+            ctx.fillStyle = `rgb(${c[0]}, ${c[1]}, ${c[2]})`;
+            ctx.fillRect(start, 0, Math.max(end - start, 1), height);
+            
+            if (i > 0) {
+                ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+                ctx.fillRect(start, 0, 1, height);
+            }
+        }
+    }
+}
@@ -5,6 +5,29 @@
 
 // Globals
 let simulation;
+let renderer;
+let statistics;
+let eventLog;
+let recorder;
+let replay = null; // ReplayPlayer while a recorded run is being watched
+let charts = [];
+let contactNetwork;
+let networkView;
+let networkMetrics = null; // Last computed ContactNetwork metrics
+let networkTimer = 0;      // Wall-clock ms since the metrics were computed
+let chartedSamples = -1; // History length at the last chart drawing
+let inspector;
+let heatmap;
+let overlayLayer = null; // Heatmap layer drawn on the canvas (null for none)
+let headDirectionChart;
+let player = null; // Participant steered with the keyboard and mouse (null when not playing)
+let remote = null; // RemoteGame while playing on a multiplayer server
+let shownPlayers = null; // Player list shown in the multiplayer panel
+const playerControl = { moveX: 0, moveY: 0, lookX: null, lookY: null };
+let challenge;
+let leaderboard;
+let storage; // localStorage, or an in-memory stand-in when the browser blocks it
+const CHALLENGE_PROGRESS_KEY = 'gameOfSight.unlockedLevels'; // localStorage key of the levels open to play
 let canvasSize = 600;
 
 /**
@@ -14,12 +37,52 @@ function setup() {
     // Create the canvas and attach it to the container
     let canvas = createCanvas(canvasSize, canvasSize);
     canvas.parent('simulation-canvas');
+    canvas.mousePressed(selectParticipantAtMouse);
     
-    // Create the simulation
+    // Create the simulation and its renderer
     simulation = new Simulation();
+    simulation.on('gameOver', displayGameOverMessage);
+    
+    // Live statistics panel (follows the simulation events and clock)
+    statistics = new Statistics(simulation);
+    
+    // Record the events of each run for export
+    eventLog = new EventLog(simulation);
+    
+    // Record every step of each run for the replay
+    recorder = new SessionRecorder(simulation);
+    
+    // Eye contact network of each run
+    contactNetwork = new ContactNetwork(simulation);
+    networkView = new NetworkView(document.getElementById('network-canvas'));
+    simulation.on('runStarted', function() {
+        networkView.clear();
+        networkMetrics = null;
+    });
+    
+    renderer = new Renderer();
+    
+    // Occupancy, gaze coverage and exclusion maps of each run
+    heatmap = new SpatialHeatmap(simulation, { gazeCoverage: false }); // Gaze layer only while shown
+    
+    // Detail panel of the participant clicked on the canvas
+    inspector = new ParticipantInspector(renderer.stateColors);
+    simulation.on('runStarted', () => inspector.select(null));
+    
+    // The person playing takes over participant 0 of each run
+    simulation.on('runStarted', function() {
+        player = document.getElementById('human-player').checked ? simulation.takeControl(0, playerControl) : null;
+    });
+    
+    // Challenge levels, played as participant 0, with the best scores kept in the browser
+    challenge = new Challenge(simulation, { onEnd: endChallenge });
+    storage = browserStorage();
+    leaderboard = new Leaderboard(storage);
     
     // Set up UI
     setupUI();
+    setupChallenge();
+    setupCharts();
     
     // Set frame rate
     frameRate(60);
@@ -33,21 +96,135 @@ function setup() {
 function draw() {
     background(240);
     
+    // Replay mode: the recorded run is drawn instead of the simulation
+    if (replay) {
+        replay.advance(deltaTime);
+        push();
+        translate(canvasSize/2, canvasSize/2);
+        renderer.drawReplay(replay);
+        pop();
+        updateReplayControls();
+        
+        textAlign(LEFT, TOP);
+        fill(0);
+        text(`Relecture: ${(replay.time / 1000).toFixed(1)} s`, 10, 10);
+        return;
+    }
+    
+    // Multiplayer: the server's game is drawn instead of the local simulation
+    if (remote) {
+        drawRemoteGame();
+        return;
+    }
+    
     // Update and draw the simulation
     if (simulation.isRunning) {
-        simulation.update();
+        if (player) {
+            readPlayerInput();
+        }
+        simulation.update(deltaTime);
+        statistics.update(simulation.participants);
     }
     
-    // Center the coordinate system and draw the simulation
+    // Center the coordinate system (or the followed participant) and draw the simulation
+    const offset = viewOffset();
     push();
-    translate(canvasSize/2, canvasSize/2);
-    simulation.draw();
+    translate(offset.x, offset.y);
+    renderer.draw(simulation, overlayLayer ? { heatmap, layer: overlayLayer } : null);
+    if (inspector.participant) {
+        renderer.drawSelection(inspector.participant);
+    }
+    if (player) {
+        renderer.drawPlayer(player);
+    }
     pop();
+    inspector.update(simulation.clock);
+    if (player) {
+        drawPlayerStatus();
+    }
+    if (challenge.level) {
+        drawChallengeStatus();
+    }
+    
+    drawCharts();
+    drawNetwork();
     
     // Draw FPS for debugging
     textAlign(LEFT, TOP);
     fill(0);
     text(`FPS: ${frameRate().toFixed(1)}`, 10, 10);
+    
+    // Show the seed of the current run so it can be replayed
+    if (simulation.seed !== null) {
+        text(`Seed: ${simulation.seed}`, 10, 26);
+    }
+}
+
+/**
+ * Translation from arena to canvas coordinates
+ * @returns {Object} { x, y } offset: the canvas center, or what puts the
+ *                   followed participant at the center
+ */
+function viewOffset() {
+    if (inspector.follow && inspector.participant) {
+        return {
+            x: canvasSize / 2 - inspector.participant.position.x,
+            y: canvasSize / 2 - inspector.participant.position.y
+        };
+    }
+    return { x: canvasSize / 2, y: canvasSize / 2 };
+}
+
+/**
+ * Fill the player control from the keyboard (ZQSD on AZERTY, WASD on QWERTY)
+ * and the mouse (the head aims at the pointer while it is over the canvas)
+ */
+function readPlayerInput() {
+    // Keys typed in the parameter fields do not walk
+    const focus = document.activeElement;
+    const typing = focus && (focus.tagName === 'INPUT' || focus.tagName === 'SELECT');
+    const key = codes => !typing && codes.some(code => keyIsDown(code));
+    
+    playerControl.moveX = (key([68]) ? 1 : 0) - (key([65, 81]) ? 1 : 0); // D / A or Q
+    playerControl.moveY = (key([83]) ? 1 : 0) - (key([87, 90]) ? 1 : 0); // S / W or Z
+    
+    if (mouseX >= 0 && mouseX < width && mouseY >= 0 && mouseY < height) {
+        const offset = viewOffset();
+        playerControl.lookX = mouseX - offset.x;
+        playerControl.lookY = mouseY - offset.y;
+    } else {
+        playerControl.lookX = null;
+        playerControl.lookY = null;
+    }
+}
+
+/**
+ * Show the player how close they are to being excluded
+ */
+function drawPlayerStatus() {
+    const now = simulation.clock.now();
+    let status = STATE_LABELS[player.state];
+    if (player.state === ParticipantState.INSIDE || player.state === ParticipantState.REENTERING) {
+        const since = player.hasEyeContact ? 0 : now - player.lastEyeContactTime;
+        status += ` - sans contact: ${(since / 1000).toFixed(1)} s / ${(player.exclusionTimeout / 1000).toFixed(1)} s`;
+    }
+    
+    textAlign(LEFT, BOTTOM);
+    noStroke();
+    fill(0);
+    text(`Vous: ${status} - contacts: ${player.eyeContactCount}, exclusions: ${player.exitCount}`, 10, height - 10);
+}
+
+/**
+ * Open the inspector on the participant under the mouse (or close it)
+ */
+function selectParticipantAtMouse() {
+    if (replay) return;
+    
+    const offset = viewOffset();
+    const participant = ParticipantInspector.participantAt(simulation.participants,
+        mouseX - offset.x, mouseY - offset.y);
+    inspector.select(participant);
 }
 
 /**
@@ -58,26 +235,51 @@ function setupUI() {
     document.getElementById('simulation-speed').value = 0.6; // Updated default
     document.getElementById('vision-angle').value = 60; // Updated default
     
+    // Fill the arena shape choices
+    const arenaSelect = document.getElementById('arena-shape');
+    for (let id of Object.keys(ARENA_SHAPES)) {
+        arenaSelect.appendChild(new Option(ARENA_SHAPES[id].label, id));
+    }
+    arenaSelect.value = 'square';
+    
+    // Fill the obstacle layout choices
+    const obstacleSelect = document.getElementById('obstacle-layout');
+    for (let id of Object.keys(OBSTACLE_LAYOUTS)) {
+        obstacleSelect.appendChild(new Option(OBSTACLE_LAYOUTS[id].label, id));
+    }
+    obstacleSelect.appendChild(new Option('Personnalisés...', 'custom'));
+    obstacleSelect.value = 'none';
+    
+    // Fill the movement model choices
+    const movementSelect = document.getElementById('movement-model');
+    for (let id of Object.keys(MOVEMENT_MODELS)) {
+        movementSelect.appendChild(new Option(MOVEMENT_MODELS[id].label, id));
+    }
+    movementSelect.value = 'bounce';
+    
+    // Fill the gaze strategy choices
+    const gazeSelect = document.getElementById('gaze-strategy');
+    for (let id of Object.keys(GAZE_STRATEGIES)) {
+        gazeSelect.appendChild(new Option(GAZE_STRATEGIES[id].label, id));
+    }
+    gazeSelect.appendChild(new Option('Mélange (une stratégie au hasard par participant)', 'mixed'));
+    gazeSelect.value = 'walk';
+    
     // Initialize parameter display values
     updateParameterDisplays();
     
     // Add event listeners for controls
     
-    // Start button
+    // Start button (a free run, outside the challenge mode)
     document.getElementById('start-btn').addEventListener('click', function() {
-        simulation.start();
-        
-        // Update button states
-        document.getElementById('start-btn').disabled = true;
-        document.getElementById('pause-btn').disabled = false;
-        document.getElementById('reset-btn').disabled = false;
-        
-        console.log("Simulation started via UI");
+        challenge.stop();
+        startSimulation();
     });
     
     // Pause button
     document.getElementById('pause-btn').addEventListener('click', function() {
         if (simulation.isPaused) {
+            exitReplay();
             simulation.resume();
             document.getElementById('pause-btn').textContent = 'Pause';
         } else {
@@ -88,25 +290,637 @@ function setupUI() {
     
     // Reset button
     document.getElementById('reset-btn').addEventListener('click', function() {
-        simulation.stop();
-        
-        // Update button states
-        document.getElementById('start-btn').disabled = false;
-        document.getElementById('pause-btn').disabled = true;
-        document.getElementById('pause-btn').textContent = 'Pause';
-        document.getElementById('reset-btn').disabled = true;
-        
-        // Update statistics displays to zero
-        updateStatisticsDisplay({
-            totalEyeContacts: 0,
-            totalExits: 0
-        });
+        challenge.stop();
+        resetSimulation();
+    });
+    
+    // Event log export (available once a run has started)
+    simulation.on('runStarted', function() {
+        document.getElementById('export-jsonl-btn').disabled = false;
+        document.getElementById('export-csv-btn').disabled = false;
+    });
+    document.getElementById('export-jsonl-btn').addEventListener('click', function() {
+        downloadText(`game-of-sight-seed-${simulation.seed}.jsonl`, eventLog.toJSONL(), 'application/x-ndjson');
+    });
+    document.getElementById('export-csv-btn').addEventListener('click', function() {
+        downloadText(`game-of-sight-seed-${simulation.seed}.csv`, eventLog.toCSV(), 'text/csv');
+    });
+    
+    // Replay of the recorded run
+    setupReplayControls();
+    
+    // Multiplayer server
+    setupMultiplayer();
+    
+    // Heatmap drawn over the arena
+    document.getElementById('overlay-mode').addEventListener('change', function() {
+        overlayLayer = this.value === 'none' ? null : this.value;
+        heatmap.setGazeCoverage(overlayLayer === 'gaze');
+        updateOverlayInfo();
+    });
+    
+    // Inspector options
+    document.getElementById('inspector-follow').addEventListener('change', function() {
+        inspector.follow = this.checked;
+    });
+    document.getElementById('inspector-close').addEventListener('click', function() {
+        inspector.select(null);
     });
     
     // Slider event listeners
     setupParameterSliders();
 }
 
+/**
+ * Start a run with the current settings
+ */
+function startSimulation() {
+    simulation.start();
+    
+    // Update button states
+    document.getElementById('start-btn').disabled = true;
+    document.getElementById('pause-btn').disabled = false;
+    document.getElementById('pause-btn').textContent = 'Pause';
+    document.getElementById('reset-btn').disabled = false;
+    
+    console.log("Simulation started via UI");
+}
+
+/**
+ * Stop the run and clear its statistics
+ */
+function resetSimulation() {
+    simulation.stop();
+    
+    // Update button states
+    document.getElementById('start-btn').disabled = false;
+    document.getElementById('pause-btn').disabled = true;
+    document.getElementById('pause-btn').textContent = 'Pause';
+    document.getElementById('reset-btn').disabled = true;
+    
+    // Update statistics displays to zero
+    statistics.reset();
+    statistics.updateUI(0);
+    simulation.history.clear();
+    heatmap.clear();
+    player = null;
+}
+
+/**
+ * Set up the challenge panel: levels, start button and leaderboard
+ */
+function setupChallenge() {
+    document.getElementById('challenge-level').addEventListener('change', updateChallengePanel);
+    document.getElementById('challenge-start-btn').addEventListener('click', function() {
+        startChallenge(parseInt(document.getElementById('challenge-level').value));
+    });
+    document.getElementById('leaderboard-clear-btn').addEventListener('click', function() {
+        leaderboard.clear();
+        updateLeaderboard();
+    });
+    
+    fillChallengeLevels();
+    updateLeaderboard();
+}
+
+/**
+ * The browser's localStorage, or a stand-in kept in memory when reading it
+ * throws (cookies blocked, sandboxed frame): scores and progress then last
+ * until the page is closed
+ * @returns {Storage|Object} Object with getItem / setItem / removeItem
+ */
+function browserStorage() {
+    try {
+        const localStorage = window.localStorage;
+        if (localStorage) return localStorage;
+    } catch (error) {
+        // Blocked: fall through to the stand-in
+    }
+    const values = new Map();
+    return {
+        getItem: key => values.has(key) ? values.get(key) : null,
+        setItem: (key, value) => values.set(key, String(value)),
+        removeItem: key => values.delete(key)
+    };
+}
+
+/**
+ * Number of levels open to play (the first one, and each one after a won level)
+ * @returns {number} Levels open, from 1 to CHALLENGE_LEVELS.length
+ */
+function unlockedLevels() {
+    let stored;
+    try {
+        stored = parseInt(storage.getItem(CHALLENGE_PROGRESS_KEY));
+    } catch (error) {
+        stored = NaN;
+    }
+    return Number.isInteger(stored) ? Math.min(Math.max(stored, 1), CHALLENGE_LEVELS.length) : 1;
+}
+
+/**
+ * Fill the level choices (the levels not open yet are disabled)
+ */
+function fillChallengeLevels() {
+    const select = document.getElementById('challenge-level');
+    const selected = select.value === '' ? 0 : parseInt(select.value);
+    const unlocked = unlockedLevels();
+    
+    select.innerHTML = '';
+    CHALLENGE_LEVELS.forEach((level, index) => {
+        const option = new Option(`${index + 1}. ${level.name}`, index);
+        option.disabled = index >= unlocked;
+        select.appendChild(option);
+    });
+    select.value = Math.min(selected, unlocked - 1);
+    updateChallengePanel();
+}
+
+/**
+ * Show the goal and settings of the selected level
+ */
+function updateChallengePanel() {
+    const level = CHALLENGE_LEVELS[parseInt(document.getElementById('challenge-level').value)];
+    const settings = level.settings;
+    document.getElementById('challenge-goal').textContent = `${describeGoal(level)} - ` +
+        `${settings.participantCount} participants, vision ${settings.visionAngle}°, ` +
+        `exclusion après ${settings.timeoutDuration} s, vitesse ${settings.simulationSpeed}`;
+}
+
+/**
+ * Play a level: its settings go into the controls and a new run starts
+ * with the person playing participant 0
+ * @param {number} levelIndex - Index in CHALLENGE_LEVELS
+ */
+function startChallenge(levelIndex) {
+    if (remote) {
+        leaveServer();
+    }
+    exitReplay();
+    
+    // Every setting is the level's, whatever the parameters panel was set to
+    const settings = challengeSettings(levelIndex);
+    showSettings(settings);
+    document.getElementById('human-player').checked = true;
+    document.getElementById('challenge-level').value = levelIndex;
+    updateChallengePanel();
+    
+    if (simulation.isRunning) {
+        resetSimulation();
+    }
+    challenge.begin(levelIndex, 0);
+    simulation.settings = settings;
+    startSimulation();
+}
+
+/**
+ * Set the parameters panel to the given settings
+ * @param {Object} settings - Simulation settings
+ */
+function showSettings(settings) {
+    document.getElementById('participant-count').value = settings.participantCount;
+    document.getElementById('arena-shape').value = settings.arena;
+    document.getElementById('arena-size').value = settings.arenaSize;
+    document.getElementById('obstacle-layout').value = settings.obstacles ? 'custom' : settings.obstacleLayout;
+    document.getElementById('custom-obstacles-group').hidden = !settings.obstacles;
+    document.getElementById('timeout-duration').value = settings.timeoutDuration;
+    document.getElementById('simulation-speed').value = settings.simulationSpeed;
+    document.getElementById('vision-angle').value = settings.visionAngle;
+    document.getElementById('head-rotation-speed').value = settings.headRotationSpeed;
+    document.getElementById('movement-model').value = settings.movementModel;
+    document.getElementById('gaze-strategy').value = settings.gazeStrategy;
+    document.getElementById('pairing-mode').value = settings.pairingMode;
+    document.getElementById('contact-dwell-time').value = settings.contactDwellTime;
+    document.getElementById('collisions').checked = settings.collisions;
+    document.getElementById('personal-space').value = settings.personalSpace;
+    document.getElementById('occlusion').checked = settings.occlusion;
+    document.getElementById('seed').value = settings.seed === null ? '' : settings.seed;
+    updateParameterDisplays();
+}
+
+/**
+ * A level was won or lost: stop there, keep the score and offer what comes next
+ * @param {Object} result - Challenge result
+ */
+function endChallenge(result) {
+    simulation.pause();
+    document.getElementById('pause-btn').textContent = 'Reprendre';
+    
+    const name = document.getElementById('challenge-name').value.trim() || 'Anonyme';
+    const rank = leaderboard.add(Object.assign({ name }, result));
+    if (result.won && result.level + 1 >= unlockedLevels()) {
+        try {
+            storage.setItem(CHALLENGE_PROGRESS_KEY, Math.min(result.level + 2, CHALLENGE_LEVELS.length));
+        } catch (error) {
+            // Storage full or blocked: the next level stays locked after a reload
+        }
+    }
+    fillChallengeLevels();
+    updateLeaderboard();
+    
+    let text = result.won
+        ? `Niveau ${result.level + 1} réussi ! `
+        : `Vous avez été exclu au niveau ${result.level + 1}. `;
+    text += `Score: ${result.score} (${result.time} s, ${result.contacts} contacts, ${result.rescues} exclus ramenés).`;
+    if (rank !== null) {
+        text += ` ${rank === 1 ? 'Meilleur score !' : `${rank}e au classement.`}`;
+    }
+    
+    const buttons = [{ label: 'Réessayer', action: () => startChallenge(result.level) }];
+    if (result.won && result.level + 1 < CHALLENGE_LEVELS.length) {
+        buttons.unshift({ label: 'Niveau suivant', action: () => startChallenge(result.level + 1) });
+    }
+    displayMessage(text, buttons);
+}
+
+/**
+ * Show the level, the progress toward its goal and the score on the canvas
+ */
+function drawChallengeStatus() {
+    let status = `Niveau ${challenge.levelIndex + 1}: ${describeProgress(challenge)} - score ${challenge.score()}`;
+    if (challenge.status === 'won') {
+        status += ' - réussi';
+    } else if (challenge.status === 'lost') {
+        status += ' - perdu';
+    }
+    
+    textAlign(RIGHT, TOP);
+    noStroke();
+    fill(0);
+    text(status, width - 10, 10);
+}
+
+/**
+ * Fill the leaderboard table, best score first (levels won in green)
+ */
+function updateLeaderboard() {
+    const body = document.querySelector('#leaderboard tbody');
+    body.innerHTML = '';
+    leaderboard.entries().forEach((entry, index) => {
+        const row = document.createElement('tr');
+        row.className = entry.won ? 'won' : '';
+        for (let value of [index + 1, entry.name, `${entry.level + 1}. ${entry.levelName}`, entry.score]) {
+            const cell = document.createElement('td');
+            cell.textContent = value; // Names are typed by the players
+            row.appendChild(cell);
+        }
+        body.appendChild(row);
+    });
+}
+
+/**
+ * Set up the multiplayer panel (the server address defaults to the server
+ * the page was loaded from)
+ */
+function setupMultiplayer() {
+    const served = window.location.protocol === 'http:' || window.location.protocol === 'https:';
+    document.getElementById('server-url').value = served
+        ? `${window.location.protocol === 'https:' ? 'wss' : 'ws'}://${window.location.host}/game`
+        : 'ws://localhost:8080/game';
+    
+    document.getElementById('join-btn').addEventListener('click', function() {
+        if (remote) {
+            leaveServer();
+        } else {
+            joinServer();
+        }
+    });
+}
+
+/**
+ * Join the game of the server (the local simulation is paused meanwhile)
+ */
+function joinServer() {
+    exitReplay();
+    if (simulation.isRunning && !simulation.isPaused) {
+        simulation.pause();
+        document.getElementById('pause-btn').textContent = 'Reprendre';
+    }
+    inspector.select(null);
+    
+    const game = new RemoteGame(document.getElementById('server-url').value.trim());
+    try {
+        game.connect(document.getElementById('player-name').value);
+    } catch (error) {
+        // new WebSocket() throws on a malformed address: stay offline
+        document.getElementById('multiplayer-status').textContent = 'Adresse invalide';
+        return;
+    }
+    remote = game;
+    document.getElementById('join-btn').textContent = 'Quitter';
+}
+
+/**
+ * Leave the server and go back to the local simulation
+ */
+function leaveServer() {
+    remote.disconnect();
+    remote = null;
+    document.getElementById('join-btn').textContent = 'Rejoindre';
+    document.getElementById('multiplayer-status').textContent = 'Hors ligne';
+    document.getElementById('multiplayer-players').innerHTML = '';
+    shownPlayers = null;
+}
+
+/**
+ * Send the player's input to the server and draw its game
+ */
+function drawRemoteGame() {
+    readPlayerInput();
+    remote.sendInput(playerControl, performance.now());
+    
+    push();
+    translate(canvasSize/2, canvasSize/2);
+    renderer.drawRemote(remote);
+    pop();
+    
+    // Own state, and the result of the last run until the next one starts
+    const own = remote.participants()[remote.participantId];
+    textAlign(LEFT, TOP);
+    noStroke();
+    fill(0);
+    text(`En ligne: ${remote.players.length} joueur(s)`, 10, 10);
+    if (own) {
+        textAlign(LEFT, BOTTOM);
+        text(`Vous: ${STATE_LABELS[own.state]}`, 10, height - 10);
+    }
+    if (remote.gameOver) {
+        textAlign(CENTER, CENTER);
+        text(`Fin de partie: ${remote.gameOver.totalEyeContacts} contacts visuels, ` +
+            `${remote.gameOver.totalExits} exclusions. Nouvelle partie dans quelques secondes...`, width / 2, 30);
+    }
+    
+    updateMultiplayerPanel();
+}
+
+/**
+ * Show the connection status and the players of the server
+ */
+function updateMultiplayerPanel() {
+    const labels = {
+        connecting: 'Connexion...',
+        playing: `En jeu (participant ${remote.participantId})`,
+        full: 'Partie complète',
+        closed: 'Déconnecté'
+    };
+    const status = document.getElementById('multiplayer-status');
+    if (status.textContent !== labels[remote.status]) {
+        status.textContent = labels[remote.status];
+    }
+    
+    // The list is replaced by each 'players' message
+    if (shownPlayers === remote.players) return;
+    shownPlayers = remote.players;
+    const list = document.getElementById('multiplayer-players');
+    list.innerHTML = '';
+    for (let p of remote.players) {
+        const item = document.createElement('li');
+        item.textContent = `${p.name} (participant ${p.participantId})`; // Names come from other people
+        list.appendChild(item);
+    }
+}
+
+/**
+ * Set up the replay buttons, speed and timeline
+ */
+function setupReplayControls() {
+    // A new run replaces the recording
+    simulation.on('runStarted', function() {
+        exitReplay();
+        document.getElementById('replay-btn').disabled = false;
+    });
+    
+    // Enter or leave replay mode (the simulation is paused while watching)
+    document.getElementById('replay-btn').addEventListener('click', function() {
+        if (replay) {
+            exitReplay();
+            return;
+        }
+        if (recorder.frames.length < 2) return;
+        
+        if (simulation.isRunning && !simulation.isPaused) {
+            simulation.pause();
+            document.getElementById('pause-btn').textContent = 'Reprendre';
+        }
+        enterReplay();
+    });
+    
+    document.getElementById('replay-play-btn').addEventListener('click', function() {
+        if (!replay) return;
+        if (replay.isPlaying) {
+            replay.pause();
+        } else {
+            replay.play();
+        }
+    });
+    
+    document.getElementById('replay-prev-btn').addEventListener('click', function() {
+        if (replay) replay.previousMarker();
+    });
+    document.getElementById('replay-next-btn').addEventListener('click', function() {
+        if (replay) replay.nextMarker();
+    });
+    
+    document.getElementById('replay-speed').addEventListener('change', function() {
+        if (replay) replay.speed = parseFloat(this.value);
+    });
+    
+    // Dragging the scrubber pauses the playback
+    document.getElementById('replay-scrubber').addEventListener('input', function() {
+        if (!replay) return;
+        replay.pause();
+        replay.seek(parseFloat(this.value));
+    });
+}
+
+/**
+ * Start watching the recorded run from the beginning
+ */
+function enterReplay() {
+    replay = new ReplayPlayer(recorder);
+    replay.speed = parseFloat(document.getElementById('replay-speed').value);
+    
+    document.getElementById('replay-btn').textContent = 'Quitter la relecture';
+    for (let id of ['replay-play-btn', 'replay-prev-btn', 'replay-next-btn', 'replay-speed', 'replay-scrubber']) {
+        document.getElementById(id).disabled = false;
+    }
+    
+    const scrubber = document.getElementById('replay-scrubber');
+    scrubber.max = Math.ceil(recorder.duration);
+    scrubber.value = 0;
+    
+    // One clickable tick per exclusion on the timeline
+    const markers = document.getElementById('replay-markers');
+    markers.innerHTML = '';
+    for (let marker of recorder.markers) {
+        const tick = document.createElement('span');
+        tick.className = 'replay-marker';
+        tick.style.left = `${marker.time / recorder.duration * 100}%`;
+        tick.title = `Participant ${marker.participantId} exclu à ${(marker.time / 1000).toFixed(1)} s`;
+        tick.addEventListener('click', function() {
+            replay.pause();
+            replay.seek(marker.time);
+        });
+        markers.appendChild(tick);
+    }
+    
+    updateReplayControls();
+}
+
+/**
+ * Go back to the live simulation
+ */
+function exitReplay() {
+    if (!replay) return;
+    replay = null;
+    
+    document.getElementById('replay-btn').textContent = 'Revoir la partie';
+    document.getElementById('replay-play-btn').textContent = 'Lecture';
+    for (let id of ['replay-play-btn', 'replay-prev-btn', 'replay-next-btn', 'replay-speed', 'replay-scrubber']) {
+        document.getElementById(id).disabled = true;
+    }
+    document.getElementById('replay-markers').innerHTML = '';
+}
+
+/**
+ * Show the playback position and state on the replay controls
+ */
+function updateReplayControls() {
+    document.getElementById('replay-play-btn').textContent = replay.isPlaying ? 'Pause' : 'Lecture';
+    document.getElementById('replay-scrubber').value = replay.time;
+    document.getElementById('replay-time').textContent =
+        `${(replay.time / 1000).toFixed(1)} s / ${(recorder.duration / 1000).toFixed(1)} s`;
+}
+
+/**
+ * Create the live charts of the group health under the canvas
+ */
+function setupCharts() {
+    const rgb = c => `rgb(${c[0]}, ${c[1]}, ${c[2]})`;
+    
+    charts = [
+        new LineChart(document.getElementById('chart-population'), {
+            title: 'Participants',
+            minMax: simulation.settings.participantCount,
+            lines: [
+                { name: 'inside', label: 'dans l\'espace', color: rgb(renderer.stateColors.inside) },
+                { name: 'movingToEdge', label: 'vers le bord', color: rgb(renderer.stateColors.leaving) },
+                { name: 'excluded', label: 'exclus au bord', color: rgb(renderer.stateColors.atEdge) }
+            ]
+        }),
+        new LineChart(document.getElementById('chart-contacts'), {
+            title: 'Contacts visuels par seconde',
+            lines: [
+                { name: 'eyeContactsPerSecond', label: '', color: rgb(renderer.colors.eyeContact) }
+            ]
+        }),
+        new LineChart(document.getElementById('chart-time-since-contact'), {
+            title: 'Temps moyen depuis le dernier contact (s)',
+            reference: { value: simulation.settings.timeoutDuration, label: 'limite d\'exclusion' },
+            lines: [
+                { name: 'meanTimeSinceContact', label: '', color: 'rgb(60, 60, 60)' }
+            ]
+        })
+    ];
+    
+    headDirectionChart = new PolarHistogram(document.getElementById('chart-head-directions'), {
+        title: 'Directions des regards',
+        color: rgb(renderer.heatmapColors.gaze)
+    });
+}
+
+/**
+ * Redraw the charts when the history has new samples
+ */
+function drawCharts() {
+    if (simulation.history.length === chartedSamples) return;
+    chartedSamples = simulation.history.length;
+    
+    // Follow the current settings for the scales
+    charts[0].minMax = simulation.participants.length || simulation.settings.participantCount;
+    charts[2].reference.value = simulation.settings.timeoutDuration;
+    
+    for (let chart of charts) {
+        chart.draw(simulation.history);
+    }
+    headDirectionChart.draw(heatmap.directionHistogram());
+    updateOverlayInfo();
+}
+
+/**
+ * Describe the heatmap layer shown on the canvas
+ */
+function updateOverlayInfo() {
+    const info = document.getElementById('overlay-info');
+    if (!info) return;
+    
+    if (overlayLayer === 'gaze' && heatmap.bounds) {
+        const since = heatmap.gazeSince > 0 ? ` depuis ${(heatmap.gazeSince / 1000).toFixed(0)} s` : '';
+        info.textContent = `Zones jamais regardées${since}: ${(heatmap.emptyShare('gaze') * 100).toFixed(0)}%`;
+    } else if (overlayLayer === 'exclusions') {
+        info.textContent = `Exclusions: ${heatmap.exclusionPoints.length}`;
+    } else {
+        info.textContent = '';
+    }
+}
+
+/**
+ * Draw the eye contact network, and refresh its metrics table every 2 s
+ * of running time (the betweenness only for groups the view can show)
+ */
+function drawNetwork() {
+    if (simulation.participants.length === 0) return;
+    
+    if (simulation.isRunning && !simulation.isPaused) {
+        networkTimer += deltaTime;
+    }
+    if (networkMetrics === null || networkTimer >= 2000) {
+        networkTimer = 0;
+        networkMetrics = contactNetwork.metrics(simulation.participants.length <= networkView.maxNodes);
+        updateNetworkTable(networkMetrics);
+    }
+    
+    networkView.draw(contactNetwork.edges(), simulation.participants, renderer.stateColors, networkMetrics);
+}
+
+/**
+ * Fill the metrics table, most central participants first
+ * (participants without any contact are shown in red)
+ * @param {Array<Object>} metrics - ContactNetwork metrics
+ */
+function updateNetworkTable(metrics) {
+    const body = document.querySelector('#network-metrics tbody');
+    if (!body) return;
+    
+    const sorted = metrics.slice().sort((a, b) => b.betweenness - a.betweenness || b.contacts - a.contacts);
+    body.innerHTML = sorted.map(m => `
+        <tr class="${m.degree === 0 ? 'isolated' : ''}">
+            <td>${m.id}</td>
+            <td>${m.degree}</td>
+            <td>${m.contacts}</td>
+            <td>${(m.contactTime / 1000).toFixed(1)}</td>
+            <td>${m.betweenness.toFixed(3)}</td>
+            <td>${m.clustering.toFixed(2)}</td>
+        </tr>`).join('');
+}
+
+/**
+ * Let the browser download a text file
+ * @param {string} filename - Suggested file name
+ * @param {string} text - File contents
+ * @param {string} type - MIME type
+ */
+function downloadText(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
 /**
  * Set up event listeners for parameter sliders
  */
@@ -116,10 +930,15 @@ function setupParameterSliders() {
         document.getElementById('participant-count-value').textContent = this.value;
         updateSimulationSettings();
     });
+    // Once typing is done, show the count that will actually be used
+    document.getElementById('participant-count').addEventListener('change', function() {
+        this.value = readNumberInput('participant-count', true);
+        document.getElementById('participant-count-value').textContent = this.value;
+    });
     
     // Square size slider
-    document.getElementById('square-size').addEventListener('input', function() {
-        document.getElementById('square-size-value').textContent = this.value;
+    document.getElementById('arena-size').addEventListener('input', function() {
+        document.getElementById('arena-size-value').textContent = this.value;
         updateSimulationSettings();
     });
     
@@ -146,6 +965,87 @@ function setupParameterSliders() {
         document.getElementById('head-rotation-speed-value').textContent = this.value;
         updateSimulationSettings();
     });
+    
+    // Time scale slider - can be changed while the simulation is running
+    document.getElementById('time-scale').addEventListener('input', function() {
+        document.getElementById('time-scale-value').textContent = 'x' + this.value;
+        simulation.clock.timeScale = parseFloat(this.value);
+    });
+    
+    // Contact dwell time slider
+    document.getElementById('contact-dwell-time').addEventListener('input', function() {
+        document.getElementById('contact-dwell-time-value').textContent = this.value;
+        updateSimulationSettings();
+    });
+    
+    // Personal space slider
+    document.getElementById('personal-space').addEventListener('input', function() {
+        document.getElementById('personal-space-value').textContent = this.value;
+        updateSimulationSettings();
+    });
+    
+    // Body collisions checkbox
+    document.getElementById('collisions').addEventListener('change', function() {
+        updateSimulationSettings();
+    });
+    
+    // Arena shape
+    document.getElementById('arena-shape').addEventListener('change', function() {
+        updateSimulationSettings();
+    });
+    
+    // Obstacle layout ('custom' edits a list, starting from the layout shown before)
+    document.getElementById('obstacle-layout').addEventListener('change', function() {
+        const custom = this.value === 'custom';
+        const field = document.getElementById('custom-obstacles');
+        if (custom && field.value.trim() === '') {
+            const shown = createObstacles(simulation.settings, createArena(simulation.settings));
+            field.value = formatObstacleSpecs(shown.map(obstacle => obstacle.toSpec()));
+        }
+        document.getElementById('custom-obstacles-group').hidden = !custom;
+        updateSimulationSettings();
+    });
+    document.getElementById('custom-obstacles').addEventListener('input', function() {
+        updateSimulationSettings();
+    });
+    
+    // Movement model
+    document.getElementById('movement-model').addEventListener('change', function() {
+        updateSimulationSettings();
+    });
+    
+    // Gaze strategy
+    document.getElementById('gaze-strategy').addEventListener('change', function() {
+        updateSimulationSettings();
+    });
+    
+    // Eye contact pairing mode
+    document.getElementById('pairing-mode').addEventListener('change', function() {
+        updateSimulationSettings();
+    });
+    
+    // Occlusion checkbox
+    document.getElementById('occlusion').addEventListener('change', function() {
+        updateSimulationSettings();
+    });
+    
+    // Play participant 0 (can be switched during a run)
+    document.getElementById('human-player').addEventListener('change', function() {
+        if (!simulation.isRunning) return;
+        if (this.checked) {
+            player = simulation.takeControl(0, playerControl);
+        } else {
+            simulation.releaseControl(0);
+            player = null;
+            challenge.stop(); // The AI does not play the challenge
+        }
+    });
+    
+    // Seed input (empty = new random seed for every run)
+    document.getElementById('seed').addEventListener('input', function() {
+        document.getElementById('seed-value').textContent = this.value === '' ? 'aléatoire' : this.value;
+        updateSimulationSettings();
+    });
 }
 
 /**
@@ -157,18 +1057,87 @@ function updateSimulationSettings() {
     // Only allow changing settings when simulation is not running
     if (simulation.isRunning) return;
     
-    simulation.settings = {
-        participantCount: parseInt(document.getElementById('participant-count').value),
-        squareSize: parseInt(document.getElementById('square-size').value),
-        timeoutDuration: parseFloat(document.getElementById('timeout-duration').value),
-        simulationSpeed: parseFloat(document.getElementById('simulation-speed').value),
-        visionAngle: parseInt(document.getElementById('vision-angle').value),
-        headRotationSpeed: parseFloat(document.getElementById('head-rotation-speed').value)
-    };
+    // Settings without a control (e.g. arenaAspect) keep their value
+    const customObstacles = document.getElementById('obstacle-layout').value === 'custom';
+    simulation.settings = Object.assign({}, simulation.settings, {
+        participantCount: readNumberInput('participant-count', true),
+        arena: document.getElementById('arena-shape').value,
+        arenaSize: readNumberInput('arena-size', true),
+        obstacleLayout: customObstacles ? 'none' : document.getElementById('obstacle-layout').value,
+        obstacles: customObstacles ? readCustomObstacles() : null,
+        timeoutDuration: readNumberInput('timeout-duration'),
+        simulationSpeed: readNumberInput('simulation-speed'),
+        visionAngle: readNumberInput('vision-angle', true),
+        headRotationSpeed: readNumberInput('head-rotation-speed'),
+        movementModel: document.getElementById('movement-model').value,
+        gazeStrategy: document.getElementById('gaze-strategy').value,
+        pairingMode: document.getElementById('pairing-mode').value,
+        contactDwellTime: readNumberInput('contact-dwell-time', true),
+        collisions: document.getElementById('collisions').checked,
+        personalSpace: readNumberInput('personal-space', true),
+        occlusion: document.getElementById('occlusion').checked,
+        seed: readSeedInput()
+    });
     
     console.log("Simulation settings updated:", simulation.settings);
 }
 
+/**
+ * Read the custom obstacle list, and show whether it is valid
+ * @returns {Array<Object>} The obstacles (none while the list is invalid)
+ */
+function readCustomObstacles() {
+    const status = document.getElementById('custom-obstacles-status');
+    try {
+        const specs = JSON.parse(document.getElementById('custom-obstacles').value || '[]');
+        checkObstacleSpecs(specs);
+        status.textContent = `${specs.length} obstacle(s)`;
+        return specs;
+    } catch (error) {
+        // The field is edited live: keep the arena empty until the list is valid again
+        status.textContent = `Liste invalide: ${error.message}`;
+        return [];
+    }
+}
+
+/**
+ * Obstacle list as JSON text, one obstacle per line (rounded to 0.1 px)
+ * @param {Array<Object>} specs - Obstacle descriptions (see Obstacle toSpec)
+ * @returns {string} The text for the custom obstacle field
+ */
+function formatObstacleSpecs(specs) {
+    const round = value => typeof value === 'number' ? Math.round(value * 10) / 10 : value;
+    const lines = specs.map(spec => '  ' + JSON.stringify(spec, (key, value) => round(value)));
+    return lines.length > 0 ? `[\n${lines.join(',\n')}\n]` : '[]';
+}
+
+/**
+ * Read a numeric input, kept within its min and max attributes
+ * @param {string} id - Id of the input
+ * @param {boolean} integer - Round to a whole number
+ * @returns {number} The value, or the input's initial value when the field
+ *                   is empty or not a number
+ */
+function readNumberInput(id, integer = false) {
+    const input = document.getElementById(id);
+    let value = parseFloat(input.value);
+    if (!Number.isFinite(value)) value = parseFloat(input.defaultValue);
+    
+    if (input.min !== '') value = Math.max(value, parseFloat(input.min));
+    if (input.max !== '') value = Math.min(value, parseFloat(input.max));
+    return integer ? Math.round(value) : value;
+}
+
+/**
+ * Read the seed input
+ * @returns {number|null} The seed, or null when the field is empty or not a
+ *                        whole number of at least 0 (random seed)
+ */
+function readSeedInput() {
+    const seed = Number(document.getElementById('seed').value);
+    return document.getElementById('seed').value !== '' && Number.isInteger(seed) && seed >= 0 ? seed : null;
+}
+
 /**
  * Update the parameter display values
  */
@@ -176,8 +1145,8 @@ function updateParameterDisplays() {
     document.getElementById('participant-count-value').textContent = 
         document.getElementById('participant-count').value;
     
-    document.getElementById('square-size-value').textContent = 
-        document.getElementById('square-size').value;
+    document.getElementById('arena-size-value').textContent = 
+        document.getElementById('arena-size').value;
     
     document.getElementById('timeout-duration-value').textContent = 
         document.getElementById('timeout-duration').value;
@@ -190,13 +1159,116 @@ function updateParameterDisplays() {
     
     document.getElementById('head-rotation-speed-value').textContent = 
         document.getElementById('head-rotation-speed').value;
+    
+    document.getElementById('contact-dwell-time-value').textContent = 
+        document.getElementById('contact-dwell-time').value;
+    
+    document.getElementById('personal-space-value').textContent = 
+        document.getElementById('personal-space').value;
+    
+    document.getElementById('time-scale-value').textContent = 
+        'x' + document.getElementById('time-scale').value;
+    
+    const seed = readSeedInput();
+    document.getElementById('seed-value').textContent = seed === null ? 'aléatoire' : seed;
 }
 
 /**
- * Update the statistics display
- * @param {Object} stats - Statistics object from simulation
+ * Display game over message and restart option
  */
-function updateStatisticsDisplay(stats) {
-    document.getElementById('eye-contact-count').textContent = stats.totalEyeContacts || 0;
-    document.getElementById('exit-count').textContent = stats.totalExits || 0;
+function displayGameOverMessage() {
+    // A challenge shows its own result
+    if (challenge.level) return;
+    
+    const restart = () => simulation.restart();
+    displayMessage("Vous êtes morts car vous ne vous êtes pas soutenus par le regard. Un groupe, c'est un réseau de regards qui se maintiennent mutuellement en vie. En négligeant les autres, vous vous êtes éteints vous-mêmes.",
+        [{ label: 'Recommencer', action: restart }], restart);
+}
+
+/**
+ * Display a message over the page, with buttons (the message closes when one is clicked)
+ * @param {string} text - Message
+ * @param {Array<Object>} buttons - { label, action } per button
+ * @param {Function} onClose - Optional action of the close button (X)
+ */
+function displayMessage(text, buttons, onClose = null) {
+    // Remove existing message if there is one
+    const existingMessage = document.getElementById('gameOverMessage');
+    if (existingMessage) {
+        document.body.removeChild(existingMessage);
+    }
+    
+    // Create container for the message
+    const gameOverDiv = document.createElement('div');
+    gameOverDiv.id = 'gameOverMessage';
+    gameOverDiv.style.position = 'absolute';
+    gameOverDiv.style.top = '50%';
+    gameOverDiv.style.left = '50%';
+    gameOverDiv.style.transform = 'translate(-50%, -50%)';
+    gameOverDiv.style.background = 'rgba(0, 0, 0, 0.85)';
+    gameOverDiv.style.color = 'white';
+    gameOverDiv.style.padding = '30px';
+    gameOverDiv.style.borderRadius = '10px';
+    gameOverDiv.style.maxWidth = '80%';
+    gameOverDiv.style.textAlign = 'center';
+    gameOverDiv.style.fontFamily = 'Arial, sans-serif';
+    gameOverDiv.style.zIndex = '1000';
+    gameOverDiv.style.boxShadow = '0 0 20px rgba(255, 0, 0, 0.5)';
+    
+    // Add close button (X)
+    const closeButton = document.createElement('div');
+    closeButton.textContent = '✕';
+    closeButton.style.position = 'absolute';
+    closeButton.style.top = '10px';
+    closeButton.style.right = '15px';
+    closeButton.style.cursor = 'pointer';
+    closeButton.style.fontSize = '20px';
+    closeButton.style.fontWeight = 'bold';
+    closeButton.style.color = '#aaa';
+    closeButton.addEventListener('mouseover', () => {
+        closeButton.style.color = 'white';
+    });
+    closeButton.addEventListener('mouseout', () => {
+        closeButton.style.color = '#aaa';
+    });
+    
+    // Add event listener to close button
+    closeButton.addEventListener('click', () => {
+        document.body.removeChild(gameOverDiv);
+        if (onClose) {
+            onClose();
+        }
+    });
+    
+    // Add message
+    const message = document.createElement('p');
+    message.textContent = text;
+    message.style.fontSize = '18px';
+    message.style.lineHeight = '1.5';
+    message.style.marginBottom = '20px';
+    
+    gameOverDiv.appendChild(closeButton);
+    gameOverDiv.appendChild(message);
+    
+    // Add the buttons
+    for (let button of buttons) {
+        const element = document.createElement('button');
+        element.textContent = button.label;
+        element.style.padding = '10px 20px';
+        element.style.margin = '0 5px';
+        element.style.fontSize = '16px';
+        element.style.background = '#4CAF50';
+        element.style.color = 'white';
+        element.style.border = 'none';
+        element.style.borderRadius = '5px';
+        element.style.cursor = 'pointer';
+        
+        element.addEventListener('click', () => {
+            document.body.removeChild(gameOverDiv);
+            button.action();
+        });
+        gameOverDiv.appendChild(element);
+    }
+    
+    document.body.appendChild(gameOverDiv);
 }
@@ -0,0 +1,396 @@
+// Node.js: load the modules the browser gets from <script> tags
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./vector.js'));
+}
+
+/**
+ * MovementModel Class
+ * Decides how a participant walks inside the arena. Each participant gets
+ * its own model instance, so models can keep per-participant state.
+ * Velocities are in pixels per 1/60 s (participant.dx / participant.dy),
+ * like the rest of the simulation.
+ */
+class MovementModel {
+    /**
+     * Constructor for a movement model
+     * @param {Object} settings - Simulation settings
+     */
+    constructor(settings) {
+        this.simulationSpeed = settings.simulationSpeed;
+        this.speed = 1.5 * settings.simulationSpeed; // Cruising speed of the walk
+    }
+    
+    /**
+     * Move the participant for one step
+     * @param {Participant} participant - The participant to move
+     * @param {number} deltaTime - Time since last step in seconds
+     * @param {Arena} arena - The playing area
+     */
+    update(participant, deltaTime, arena) {
+        this.move(participant, deltaTime, arena);
+        this.faceMovement(participant);
+    }
+    
+    /**
+     * Apply the velocity and bounce off the arena boundary and the obstacles
+     * @param {Participant} participant - The participant to move
+     * @param {number} deltaTime - Time since last step in seconds
+     * @param {Arena} arena - The playing area
+     * @returns {boolean} True if the participant bounced off a wall or an obstacle
+     */
+    move(participant, deltaTime, arena) {
+        // Apply velocity
+        let newX = participant.position.x + participant.dx * deltaTime * 60; // Scale by deltaTime for 60fps equivalent
+        let newY = participant.position.y + participant.dy * deltaTime * 60;
+        
+        // Boundary check and reflection on the wall that was hit
+        let bounced = false;
+        if (!arena.contains(newX, newY)) {
+            const normal = arena.inwardNormal(newX, newY);
+            const along = participant.dx * normal.x + participant.dy * normal.y;
+            if (along < 0) {
+                participant.dx -= 2 * along * normal.x;
+                participant.dy -= 2 * along * normal.y;
+            }
+            bounced = true;
+            
+            // Ensure not out of bounds
+            const edge = arena.nearestBoundaryPoint(newX, newY);
+            newX = edge.x;
+            newY = edge.y;
+        }
+        
+        // Update position
+        participant.position.set(newX, newY);
+        
+        // Bounce off the obstacles the same way
+        for (let obstacle of participant.obstacles) {
+            const normal = obstacle.pushOut(participant.position, participant.size / 2);
+            if (!normal) continue;
+            const along = participant.dx * normal.x + participant.dy * normal.y;
+            if (along < 0) {
+                participant.dx -= 2 * along * normal.x;
+                participant.dy -= 2 * along * normal.y;
+            }
+            bounced = true;
+        }
+        
+        // Update the velocity vector for the rest of the code
+        participant.velocity.set(participant.dx, participant.dy);
+        
+        return bounced;
+    }
+    
+    /**
+     * Turn the body to the walking direction
+     * @param {Participant} participant - The participant
+     */
+    faceMovement(participant) {
+        if (participant.dx !== 0 || participant.dy !== 0) {
+            participant.bodyDirection = Math.atan2(participant.dy, participant.dx);
+        }
+    }
+    
+    /**
+     * Set the velocity from a heading at the cruising speed
+     * @param {Participant} participant - The participant
+     * @param {number} heading - Walking direction in radians
+     * @param {number} speed - Speed (defaults to the cruising speed)
+     */
+    setHeading(participant, heading, speed = this.speed) {
+        participant.dx = Math.cos(heading) * speed;
+        participant.dy = Math.sin(heading) * speed;
+    }
+    
+    /**
+     * Current walking direction
+     * @param {Participant} participant - The participant
+     * @returns {number} Heading in radians
+     */
+    heading(participant) {
+        return Math.atan2(participant.dy, participant.dx);
+    }
+}
+
+/**
+ * Bounce walk: straight lines, bouncing off the walls, with a 1% chance per
+ * step of picking a new random velocity (the original movement)
+ */
+class BounceWalk extends MovementModel {
+    /**
+     * Move in straight lines with rare random changes
+     * @param {Participant} participant - The participant
+     * @param {number} deltaTime - Time since last step in seconds
+     * @param {Arena} arena - The playing area
+     */
+    update(participant, deltaTime, arena) {
+        const rng = participant.rng;
+        const bounced = this.move(participant, deltaTime, arena);
+        
+        // Random changes (1% chance)
+        if (rng.random() < 0.01) {
+            participant.dx = rng.random(-2, 2) * this.simulationSpeed;
+            participant.dy = rng.random(-2, 2) * this.simulationSpeed;
+            // Make sure velocity is never zero in both components
+            const minimum = 0.5 * this.simulationSpeed;
+            if (Math.abs(participant.dx) < minimum) participant.dx = (participant.dx >= 0) ? minimum : -minimum;
+            if (Math.abs(participant.dy) < minimum) participant.dy = (participant.dy >= 0) ? minimum : -minimum;
+            participant.velocity.set(participant.dx, participant.dy);
+        }
+        
+        // The body only turns on bounces and now and then
+        if (bounced || rng.random() < 0.01) {
+            participant.bodyDirection = participant.velocity.heading();
+        }
+    }
+}
+
+/**
+ * Correlated random walk: constant speed, the heading drifts a little every
+ * step (turning noise), so paths are smooth curves
+ */
+class CorrelatedWalk extends MovementModel {
+    /**
+     * Constructor for a correlated random walk
+     * @param {Object} settings - Simulation settings
+     */
+    constructor(settings) {
+        super(settings);
+        this.turningNoise = 2.5; // rad per sqrt(s)
+    }
+    
+    /**
+     * Turn a little and walk on
+     * @param {Participant} participant - The participant
+     * @param {number} deltaTime - Time since last step in seconds
+     * @param {Arena} arena - The playing area
+     */
+    update(participant, deltaTime, arena) {
+        const turn = participant.rng.random(-1, 1) * this.turningNoise * Math.sqrt(deltaTime);
+        this.setHeading(participant, this.heading(participant) + turn);
+        super.update(participant, deltaTime, arena);
+    }
+}
+
+/**
+ * Lévy flight: straight runs in random directions whose lengths follow a
+ * power law, so many short moves mix with rare long crossings
+ */
+class LevyFlight extends MovementModel {
+    /**
+     * Constructor for a Lévy flight
+     * @param {Object} settings - Simulation settings
+     */
+    constructor(settings) {
+        super(settings);
+        this.exponent = 1.5; // Power law exponent of the run lengths
+        this.minRun = 20; // Shortest run in pixels
+        this.remaining = 0; // Distance left in the current run
+    }
+    
+    /**
+     * Walk the current run, and start a new one when it is over
+     * @param {Participant} participant - The participant
+     * @param {number} deltaTime - Time since last step in seconds
+     * @param {Arena} arena - The playing area
+     */
+    update(participant, deltaTime, arena) {
+        const rng = participant.rng;
+        
+        if (this.remaining <= 0) {
+            // Pareto-distributed run length, capped to the arena size
+            const u = 1 - rng.random();
+            this.remaining = Math.min(this.minRun * Math.pow(u, -1 / this.exponent), arena.size);
+            this.setHeading(participant, rng.random(-Math.PI, Math.PI));
+        }
+        
+        this.remaining -= this.speed * deltaTime * 60;
+        super.update(participant, deltaTime, arena);
+    }
+}
+
+/**
+ * Drift toward the centre: a correlated walk whose heading is pulled toward
+ * the middle of the arena, more strongly the further out the participant is
+ */
+class CenterDrift extends CorrelatedWalk {
+    /**
+     * Constructor for a centre-drifting walk
+     * @param {Object} settings - Simulation settings
+     */
+    constructor(settings) {
+        super(settings);
+        this.driftStrength = 1.5; // rad/s of turning toward the center at the edge
+    }
+    
+    /**
+     * Turn toward the center, then walk on with turning noise
+     * @param {Participant} participant - The participant
+     * @param {number} deltaTime - Time since last step in seconds
+     * @param {Arena} arena - The playing area
+     */
+    update(participant, deltaTime, arena) {
+        const position = participant.position;
+        const distance = Math.sqrt(position.x * position.x + position.y * position.y);
+        
+        if (distance > 0) {
+            const heading = this.heading(participant);
+            const toCenter = Math.atan2(-position.y, -position.x);
+            const offset = Vector2.wrapAngle(toCenter - heading);
+            const pull = this.driftStrength * Math.min(distance / (arena.size / 2), 1) * deltaTime;
+            this.setHeading(participant, heading + Math.max(-pull, Math.min(pull, offset)));
+        }
+        
+        super.update(participant, deltaTime, arena);
+    }
+}
+
+/**
+ * Boids: participants align with the walking direction of their neighbours,
+ * move toward their neighbours' centre (cohesion) and keep a little distance
+ * (separation)
+ */
+class BoidsFlock extends MovementModel {
+    /**
+     * Constructor for flocking movement
+     * @param {Object} settings - Simulation settings
+     */
+    constructor(settings) {
+        super(settings);
+        this.neighbourRadius = 60;
+        this.separationRadius = 20;
+        this.alignmentWeight = 0.05;
+        this.cohesionWeight = 0.002;
+        this.separationWeight = 0.05;
+        this.noise = 0.1;
+    }
+    
+    /**
+     * Steer with the neighbours, then walk on
+     * @param {Participant} participant - The participant
+     * @param {number} deltaTime - Time since last step in seconds
+     * @param {Arena} arena - The playing area
+     */
+    update(participant, deltaTime, arena) {
+        let count = 0;
+        let sumDx = 0, sumDy = 0, sumX = 0, sumY = 0;
+        let awayX = 0, awayY = 0;
+        
+        const visit = other => {
+            if (other === participant || !other.isInside || other.isExcluded) return false;
+            const offsetX = other.position.x - participant.position.x;
+            const offsetY = other.position.y - participant.position.y;
+            const distance = Math.sqrt(offsetX * offsetX + offsetY * offsetY);
+            if (distance > this.neighbourRadius) return false;
+            
+            count++;
+            sumDx += other.dx;
+            sumDy += other.dy;
+            sumX += offsetX;
+            sumY += offsetY;
+            if (distance > 0 && distance < this.separationRadius) {
+                awayX -= offsetX / distance;
+                awayY -= offsetY / distance;
+            }
+            return false;
+        };
+        
+        if (participant.grid) {
+            participant.grid.forEachInCircle(participant.position.x, participant.position.y,
+                this.neighbourRadius, visit);
+        } else {
+            participant.allParticipants.forEach(visit);
+        }
+        
+        // Scale the steering by the step length (weights are per 1/60 s)
+        const factor = deltaTime * 60;
+        let dx = participant.dx;
+        let dy = participant.dy;
+        if (count > 0) {
+            dx += ((sumDx / count - dx) * this.alignmentWeight + (sumX / count) * this.cohesionWeight) * factor;
+            dy += ((sumDy / count - dy) * this.alignmentWeight + (sumY / count) * this.cohesionWeight) * factor;
+        }
+        dx += (awayX * this.separationWeight + participant.rng.random(-1, 1) * this.noise) * factor;
+        dy += (awayY * this.separationWeight + participant.rng.random(-1, 1) * this.noise) * factor;
+        
+        // Keep walking at the cruising speed
+        participant.dx = dx;
+        participant.dy = dy;
+        this.setHeading(participant, this.heading(participant));
+        
+        super.update(participant, deltaTime, arena);
+    }
+}
+
+/**
+ * Manual walk: a person steers the participant (e.g. with the keyboard).
+ * The participant walks toward the wanted direction of the control at the
+ * cruising speed, stands still without input, and bounces off the walls
+ * and obstacles like everyone else.
+ */
+class ManualWalk extends MovementModel {
+    /**
+     * Constructor for a walk steered by a control
+     * @param {Object} settings - Simulation settings
+     * @param {Object} control - Input { moveX, moveY }: wanted direction (length up to 1, 0 to stand)
+     */
+    constructor(settings, control) {
+        super(settings);
+        this.control = control;
+    }
+    
+    /**
+     * Walk where the control says
+     * @param {Participant} participant - The participant
+     * @param {number} deltaTime - Time since last step in seconds
+     * @param {Arena} arena - The playing area
+     */
+    update(participant, deltaTime, arena) {
+        const length = Math.sqrt(this.control.moveX * this.control.moveX + this.control.moveY * this.control.moveY);
+        if (length > 0) {
+            this.setHeading(participant, Math.atan2(this.control.moveY, this.control.moveX), this.speed * Math.min(length, 1));
+        } else {
+            participant.dx = 0;
+            participant.dy = 0;
+        }
+        
+        super.update(participant, deltaTime, arena);
+    }
+}
+
+// Movement models that can be chosen for participants inside the arena
+const MOVEMENT_MODELS = {
+    bounce: { label: 'Marche aléatoire avec rebonds', create: settings => new BounceWalk(settings) },
+    correlated: { label: 'Marche aléatoire corrélée', create: settings => new CorrelatedWalk(settings) },
+    levy: { label: 'Vols de Lévy', create: settings => new LevyFlight(settings) },
+    centerDrift: { label: 'Dérive vers le centre', create: settings => new CenterDrift(settings) },
+    boids: { label: 'Nuée (alignement / cohésion)', create: settings => new BoidsFlock(settings) }
+};
+
+/**
+ * Create the movement model for one participant
+ * @param {string} id - Key of MOVEMENT_MODELS
+ * @param {Object} settings - Simulation settings
+ * @returns {MovementModel} A new model instance
+ */
+function createMovementModel(id, settings) {
+    const known = MOVEMENT_MODELS[id] !== undefined;
+    const model = MOVEMENT_MODELS[known ? id : 'bounce'].create(settings);
+    model.id = known ? id : 'bounce';
+    return model;
+}
+
+// Export for Node.js (in the browser these are globals)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MovementModel,
+        BounceWalk,
+        CorrelatedWalk,
+        LevyFlight,
+        CenterDrift,
+        BoidsFlock,
+        ManualWalk,
+        MOVEMENT_MODELS,
+        createMovementModel
+    };
+}
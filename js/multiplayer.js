@@ -0,0 +1,269 @@
+// Node.js: load the modules the browser gets from <script> tags
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./vector.js'), require('./arena.js'), require('./obstacles.js'),
+        require('./participant.js'), require('./replay.js'));
+}
+
+/**
+ * Multiplayer protocol (JSON text messages over a WebSocket, see tools/server.js)
+ *
+ * Client to server:
+ *   { type: 'join', name }                        Take a participant
+ *   { type: 'input', moveX, moveY, lookX, lookY } Steer it (see ManualWalk and ManualGaze)
+ * Server to client:
+ *   { type: 'welcome', participantId, rate, run } Joined; run as in 'run'
+ *   { type: 'full' }                              No participant left to take
+ *   { type: 'run', seed, settings, visionDistance, bodySize } A new run started
+ *   { type: 'players', players: [{ participantId, name }] }   Who plays which participant
+ *   { type: 'snapshot', time, participants: [[x, y, body, head, state, partner], ...] }
+ *                                                 State of every participant (by id), state as
+ *                                                 an index of RECORDED_STATES, partner -1 for none
+ *   { type: 'gameOver', totalEyeContacts, totalExits, restartIn (ms) }
+ *   { type: 'error', message }                    A message was refused
+ * Leaving is closing the connection; the participant goes back to the AI.
+ */
+
+/**
+ * Compact snapshot of every participant, sent at a fixed rate by the server
+ * @param {Simulation} simulation - The authoritative simulation
+ * @returns {Object} The 'snapshot' message
+ */
+function encodeSnapshot(simulation) {
+    const round = (value, digits) => Math.round(value * digits) / digits;
+    return {
+        type: 'snapshot',
+        time: simulation.clock.now(),
+        participants: simulation.participants.map(p => [
+            round(p.position.x, 10),
+            round(p.position.y, 10),
+            round(Vector2.wrapAngle(p.bodyDirection), 1000),
+            round(Vector2.wrapAngle(p.headDirection), 1000),
+            RECORDED_STATES.indexOf(p.state),
+            p.eyeContactPartnerId === null ? -1 : p.eyeContactPartnerId
+        ])
+    };
+}
+
+/**
+ * RemoteGame Class
+ * Browser side of a multiplayer game: connects to the server, sends the
+ * player's input and keeps the last snapshots. Participants are drawn a
+ * little in the past (the interpolation delay), between the two snapshots
+ * around that time, so their movement stays smooth between snapshots.
+ */
+class RemoteGame {
+    /**
+     * Constructor for a game on a server
+     * @param {string} url - WebSocket address of the server, e.g. ws://localhost:8080/game
+     * @param {Object} options - Optional { inputInterval (ms between unchanged inputs, default 100) }
+     */
+    constructor(url, options = {}) {
+        this.url = url;
+        this.inputInterval = options.inputInterval || 100;
+        this.socket = null;
+        this.status = 'closed'; // 'connecting', 'playing', 'full' or 'closed'
+        this.participantId = null;
+        this.players = [];
+        this.gameOver = null;   // Last 'gameOver' message, until the next run
+        this.lastInput = null;  // Last input sent, as JSON
+        this.lastInputTime = 0;
+        this.interpolationDelay = 100; // ms the participants are drawn in the past
+        this.startRun(null);
+    }
+    
+    /**
+     * Forget the state of the previous run
+     * @param {Object|null} run - The 'run' message of the new run
+     */
+    startRun(run) {
+        this.run = run;
+        this.arena = run ? createArena(run.settings) : null;
+        this.obstacles = run ? createObstacles(run.settings, this.arena) : [];
+        this.snapshots = [];     // { time, participants, received } in time order
+        this.clockOffset = null; // Server time minus local time, from the snapshots
+        this.gameOver = null;
+    }
+    
+    /**
+     * Open the connection and ask for a participant
+     * @param {string} name - Name shown to the other players
+     */
+    connect(name) {
+        this.disconnect();
+        this.status = 'connecting';
+        this.socket = new WebSocket(this.url);
+        this.socket.addEventListener('open', () => {
+            this.send({ type: 'join', name });
+        });
+        this.socket.addEventListener('message', event => {
+            this.handleMessage(JSON.parse(event.data));
+        });
+        this.socket.addEventListener('close', () => {
+            if (this.status !== 'full') this.status = 'closed';
+            this.socket = null;
+        });
+    }
+    
+    /**
+     * Leave the game (the server gives the participant back to the AI)
+     */
+    disconnect() {
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+        this.status = 'closed';
+    }
+    
+    /**
+     * Send a message when connected
+     * @param {Object} message - Message object
+     */
+    send(message) {
+        if (this.socket && this.socket.readyState === 1) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+    
+    /**
+     * Send the player's input when it changed, and at least every inputInterval
+     * @param {Object} control - { moveX, moveY, lookX, lookY }
+     * @param {number} now - Local time in ms
+     */
+    sendInput(control, now) {
+        if (this.status !== 'playing' || !this.socket || this.socket.readyState !== 1) return;
+        const input = JSON.stringify({
+            type: 'input',
+            moveX: control.moveX,
+            moveY: control.moveY,
+            lookX: control.lookX,
+            lookY: control.lookY
+        });
+        if (input === this.lastInput && now - this.lastInputTime < this.inputInterval) return;
+        
+        this.socket.send(input);
+        this.lastInput = input;
+        this.lastInputTime = now;
+    }
+    
+    /**
+     * React to a message of the server
+     * @param {Object} message - Parsed message
+     * @param {number} now - Local time in ms when it arrived
+     */
+    handleMessage(message, now = performance.now()) {
+        switch (message.type) {
+            case 'welcome':
+                this.status = 'playing';
+                this.participantId = message.participantId;
+                
+                // Two snapshot intervals behind, so one late snapshot does not stop the movement
+                this.interpolationDelay = 2000 / message.rate;
+                this.startRun(message.run);
+                break;
+            case 'full':
+                this.status = 'full';
+                break;
+            case 'run':
+                this.startRun(message);
+                break;
+            case 'players':
+                this.players = message.players;
+                break;
+            case 'snapshot':
+                this.addSnapshot(message, now);
+                break;
+            case 'gameOver':
+                this.gameOver = message;
+                break;
+            case 'error':
+                console.warn(`Server: ${message.message}`);
+                break;
+        }
+    }
+    
+    /**
+     * Keep a snapshot and follow the server clock
+     * @param {Object} message - The 'snapshot' message
+     * @param {number} now - Local time in ms when it arrived
+     */
+    addSnapshot(message, now) {
+        const last = this.snapshots[this.snapshots.length - 1];
+        if (last && message.time < last.time) return; // Late, from before a restart
+        
+        this.snapshots.push({ time: message.time, participants: message.participants, received: now });
+        
+        // Snapshots that arrive late do not push the clock back; early ones
+        // bring it forward, and it slowly follows a server that slows down
+        const offset = message.time - now;
+        if (this.clockOffset === null || offset > this.clockOffset) {
+            this.clockOffset = offset;
+        } else {
+            this.clockOffset += (offset - this.clockOffset) * 0.02;
+        }
+        
+        // One second of snapshots is plenty
+        while (this.snapshots.length > 2 && this.snapshots[0].time < message.time - 1000) {
+            this.snapshots.shift();
+        }
+    }
+    
+    /**
+     * Participants at the interpolated time, shaped like the replay snapshots
+     * (see SessionRecorder.participantsAt) so the renderer can draw them
+     * @param {number} now - Local time in ms
+     * @returns {Array<Object>} One snapshot per participant
+     */
+    participants(now = performance.now()) {
+        if (this.snapshots.length === 0 || !this.run) return [];
+        
+        const time = now + this.clockOffset - this.interpolationDelay;
+        let before = this.snapshots[0];
+        let after = before;
+        for (let snapshot of this.snapshots) {
+            if (snapshot.time <= time) {
+                before = snapshot;
+                after = snapshot;
+            } else {
+                after = snapshot;
+                break;
+            }
+        }
+        const t = after.time > before.time ? Math.min(Math.max((time - before.time) / (after.time - before.time), 0), 1) : 0;
+        
+        const visionAngle = this.run.settings.visionAngle * Math.PI / 180;
+        return before.participants.map((from, id) => {
+            const to = after.participants[id] || from;
+            const state = RECORDED_STATES[from[4]];
+            const partnerId = from[5] === -1 ? null : from[5];
+            return {
+                id,
+                position: { x: from[0] + (to[0] - from[0]) * t, y: from[1] + (to[1] - from[1]) * t },
+                bodyDirection: from[2] + Vector2.wrapAngle(to[2] - from[2]) * t,
+                headDirection: from[3] + Vector2.wrapAngle(to[3] - from[3]) * t,
+                state,
+                eyeContactPartnerId: partnerId,
+                hasEyeContact: partnerId !== null,
+                isExcluded: state === ParticipantState.LEAVING || state === ParticipantState.AT_EDGE,
+                visionAngle,
+                visionDistance: this.run.visionDistance,
+                size: this.run.bodySize
+            };
+        });
+    }
+    
+    /**
+     * Name of the player steering a participant
+     * @param {number} participantId - Participant id
+     * @returns {string|null} The name, or null for an AI participant
+     */
+    playerName(participantId) {
+        const player = this.players.find(p => p.participantId === participantId);
+        return player ? player.name : null;
+    }
+}
+
+// Export for Node.js (in the browser these are globals)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { encodeSnapshot, RemoteGame };
+}
@@ -0,0 +1,145 @@
+/**
+ * NetworkView Class
+ * Force-directed drawing of the eye contact network on its own <canvas>
+ * (2D context): participants repel each other, contacts pull them together,
+ * harder the more contacts the pair had. The layout moves a little every
+ * frame, so it settles while the run goes on.
+ */
+class NetworkView {
+    /**
+     * Constructor for a view on a canvas element
+     * @param {HTMLCanvasElement} canvas - Canvas to draw on
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.positions = []; // Layout position per participant id, in -1..1
+        this.maxNodes = 200; // Larger groups are not laid out (too slow)
+    }
+    
+    /**
+     * Forget the layout (e.g. for a new run)
+     */
+    clear() {
+        this.positions = [];
+    }
+    
+    /**
+     * Move the layout one step toward balance
+     * @param {Array<Object>} edges - Edges of the ContactNetwork
+     * @param {number} count - Number of participants
+     */
+    layout(edges, count) {
+        // New participants start on a circle
+        while (this.positions.length < count) {
+            const angle = this.positions.length / count * Math.PI * 2;
+            this.positions.push({ x: Math.cos(angle) * 0.8, y: Math.sin(angle) * 0.8 });
+        }
+        this.positions.length = count;
+        
+        const forces = this.positions.map(() => ({ x: 0, y: 0 }));
+        const spacing = 1 / Math.sqrt(Math.max(count, 1)); // Ideal distance between nodes
+        
+        // Every pair repels
+        for (let i = 0; i < count; i++) {
+            for (let j = i + 1; j < count; j++) {
+                const dx = this.positions[i].x - this.positions[j].x;
+                const dy = this.positions[i].y - this.positions[j].y;
+                const distanceSquared = Math.max(dx * dx + dy * dy, 1e-4);
+                const push = spacing * spacing / distanceSquared;
+                forces[i].x += dx * push;
+                forces[i].y += dy * push;
+                forces[j].x -= dx * push;
+                forces[j].y -= dy * push;
+            }
+        }
+        
+        // Contacts attract, more with more contacts
+        for (let edge of edges) {
+            if (edge.a >= count || edge.b >= count) continue;
+            const a = this.positions[edge.a];
+            const b = this.positions[edge.b];
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            const pull = distance / spacing * Math.log(1 + edge.count) * 0.1;
+            forces[edge.a].x += dx * pull;
+            forces[edge.a].y += dy * pull;
+            forces[edge.b].x -= dx * pull;
+            forces[edge.b].y -= dy * pull;
+        }
+        
+        // Small moves, kept inside the view and drawn toward the center
+        for (let i = 0; i < count; i++) {
+            const p = this.positions[i];
+            const fx = forces[i].x - p.x * 0.5;
+            const fy = forces[i].y - p.y * 0.5;
+            const length = Math.sqrt(fx * fx + fy * fy);
+            const step = Math.min(length, 0.02) / (length || 1);
+            p.x = Math.max(-1, Math.min(1, p.x + fx * step));
+            p.y = Math.max(-1, Math.min(1, p.y + fy * step));
+        }
+    }
+    
+    /**
+     * Draw the network
+     * @param {Array<Object>} edges - Edges of the ContactNetwork
+     * @param {Array<Object>} participants - Participants (for their state)
+     * @param {Object} stateColors - Color per lifecycle state, as [r, g, b]
+     * @param {Array<Object>} metrics - Optional ContactNetwork metrics (node size by betweenness)
+     */
+    draw(edges, participants, stateColors, metrics = null) {
+        const ctx = this.context;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = '10px Arial, sans-serif';
+        
+        if (participants.length > this.maxNodes) {
+            ctx.fillStyle = '#666';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(`Graphe affiché jusqu'à ${this.maxNodes} participants`, width / 2, height / 2);
+            return;
+        }
+        
+        this.layout(edges, participants.length);
+        const margin = 14;
+        const x = p => margin + (p.x + 1) / 2 * (width - 2 * margin);
+        const y = p => margin + (p.y + 1) / 2 * (height - 2 * margin);
+        
+        // Edges: thicker with more contacts, green while the contact lasts
+        let maxCount = 1;
+        for (let edge of edges) maxCount = Math.max(maxCount, edge.count);
+        for (let edge of edges) {
+            const a = this.positions[edge.a];
+            const b = this.positions[edge.b];
+            if (!a || !b) continue;
+            ctx.strokeStyle = edge.active ? 'rgba(100, 200, 100, 0.9)' : 'rgba(80, 80, 80, 0.35)';
+            ctx.lineWidth = 0.5 + 3 * edge.count / maxCount;
+            ctx.beginPath();
+            ctx.moveTo(x(a), y(a));
+            ctx.lineTo(x(b), y(b));
+            ctx.stroke();
+        }
+        
+        // Nodes: colored by state, larger for higher betweenness
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        for (let i = 0; i < participants.length; i++) {
+            const p = this.positions[i];
+            const c = stateColors[participants[i].state];
+            const centrality = metrics && metrics[i] ? metrics[i].betweenness : 0;
+            const radius = 6 + 14 * Math.sqrt(centrality);
+            ctx.fillStyle = `rgb(${c[0]}, ${c[1]}, ${c[2]})`;
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.5)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.arc(x(p), y(p), radius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+            ctx.fillStyle = '#fff';
+            ctx.fillText(String(i), x(p), y(p));
+        }
+    }
+}
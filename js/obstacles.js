@@ -0,0 +1,323 @@
+// Node.js: load the modules the browser gets from <script> tags
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./vector.js'));
+}
+
+/**
+ * Obstacle Class
+ * A static, opaque object inside the arena (pillar, furniture, set piece).
+ * Participants cannot walk through it and cannot see through it.
+ */
+class Obstacle {
+    /**
+     * Constructor for an obstacle
+     * @param {number} x - Center x
+     * @param {number} y - Center y
+     */
+    constructor(x, y) {
+        this.position = new Vector2(x, y);
+    }
+    
+    /**
+     * Closest point of the obstacle to a point (the point itself when inside)
+     * @param {number} x - Point x
+     * @param {number} y - Point y
+     * @returns {Vector2} A new vector
+     */
+    nearestPoint(x, y) {
+        throw new Error('Obstacle.nearestPoint() must be implemented by the shape');
+    }
+    
+    /**
+     * Push a body of the given radius out of the obstacle
+     * @param {Vector2} position - Body center (changed in place)
+     * @param {number} radius - Body radius
+     * @returns {Vector2|null} Outward unit normal if the body was pushed, else null
+     */
+    pushOut(position, radius) {
+        throw new Error('Obstacle.pushOut() must be implemented by the shape');
+    }
+    
+    /**
+     * Check if a line of sight crosses the obstacle
+     * @param {number} x1 - Segment start x
+     * @param {number} y1 - Segment start y
+     * @param {number} x2 - Segment end x
+     * @param {number} y2 - Segment end y
+     * @returns {boolean} True if the segment crosses the obstacle
+     */
+    blocksSegment(x1, y1, x2, y2) {
+        throw new Error('Obstacle.blocksSegment() must be implemented by the shape');
+    }
+}
+
+/**
+ * Round obstacle (a pillar or column)
+ */
+class CircleObstacle extends Obstacle {
+    /**
+     * Constructor for a round obstacle
+     * @param {number} x - Center x
+     * @param {number} y - Center y
+     * @param {number} radius - Radius
+     */
+    constructor(x, y, radius) {
+        super(x, y);
+        this.radius = radius;
+    }
+    
+    /**
+     * Closest point of the disc to a point
+     * @param {number} x - Point x
+     * @param {number} y - Point y
+     * @returns {Vector2} A new vector
+     */
+    nearestPoint(x, y) {
+        const dx = x - this.position.x;
+        const dy = y - this.position.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance <= this.radius) return new Vector2(x, y);
+        return new Vector2(this.position.x + dx / distance * this.radius,
+            this.position.y + dy / distance * this.radius);
+    }
+    
+    /**
+     * Push a body out of the disc, away from its center
+     * @param {Vector2} position - Body center (changed in place)
+     * @param {number} radius - Body radius
+     * @returns {Vector2|null} Outward unit normal if the body was pushed, else null
+     */
+    pushOut(position, radius) {
+        const dx = position.x - this.position.x;
+        const dy = position.y - this.position.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const reach = this.radius + radius;
+        if (distance >= reach) return null;
+        
+        // A body exactly on the center leaves to the right
+        const normal = distance > 0 ? new Vector2(dx / distance, dy / distance) : new Vector2(1, 0);
+        position.set(this.position.x + normal.x * reach, this.position.y + normal.y * reach);
+        return normal;
+    }
+    
+    /**
+     * Check if a segment passes within the radius of the center
+     * @param {number} x1 - Segment start x
+     * @param {number} y1 - Segment start y
+     * @param {number} x2 - Segment end x
+     * @param {number} y2 - Segment end y
+     * @returns {boolean} True if the segment crosses the disc
+     */
+    blocksSegment(x1, y1, x2, y2) {
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const lengthSquared = dx * dx + dy * dy;
+        let t = lengthSquared > 0 ? ((this.position.x - x1) * dx + (this.position.y - y1) * dy) / lengthSquared : 0;
+        t = Math.max(0, Math.min(1, t));
+        const offsetX = x1 + t * dx - this.position.x;
+        const offsetY = y1 + t * dy - this.position.y;
+        return offsetX * offsetX + offsetY * offsetY < this.radius * this.radius;
+    }
+    
+    /**
+     * Description of the obstacle, as given in settings.obstacles
+     * @returns {Object} { type: 'circle', x, y, radius }
+     */
+    toSpec() {
+        return { type: 'circle', x: this.position.x, y: this.position.y, radius: this.radius };
+    }
+}
+
+/**
+ * Rectangular obstacle, axis-aligned (a table, a platform, a set piece)
+ */
+class RectObstacle extends Obstacle {
+    /**
+     * Constructor for a rectangular obstacle
+     * @param {number} x - Center x
+     * @param {number} y - Center y
+     * @param {number} width - Width
+     * @param {number} height - Height
+     */
+    constructor(x, y, width, height) {
+        super(x, y);
+        this.width = width;
+        this.height = height;
+        this.left = x - width / 2;
+        this.right = x + width / 2;
+        this.top = y - height / 2;
+        this.bottom = y + height / 2;
+    }
+    
+    /**
+     * Closest point of the rectangle to a point
+     * @param {number} x - Point x
+     * @param {number} y - Point y
+     * @returns {Vector2} A new vector
+     */
+    nearestPoint(x, y) {
+        return new Vector2(Math.max(this.left, Math.min(this.right, x)),
+            Math.max(this.top, Math.min(this.bottom, y)));
+    }
+    
+    /**
+     * Push a body out of the rectangle: through the nearest side when the
+     * center is inside, else away from the nearest point (rounded corners)
+     * @param {Vector2} position - Body center (changed in place)
+     * @param {number} radius - Body radius
+     * @returns {Vector2|null} Outward unit normal if the body was pushed, else null
+     */
+    pushOut(position, radius) {
+        const nearest = this.nearestPoint(position.x, position.y);
+        const dx = position.x - nearest.x;
+        const dy = position.y - nearest.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        
+        if (distance > 0) {
+            if (distance >= radius) return null;
+            const normal = new Vector2(dx / distance, dy / distance);
+            position.set(nearest.x + normal.x * radius, nearest.y + normal.y * radius);
+            return normal;
+        }
+        
+        // Center inside: leave through the closest side
+        const exits = [
+            { depth: position.x - this.left, normal: new Vector2(-1, 0) },
+            { depth: this.right - position.x, normal: new Vector2(1, 0) },
+            { depth: position.y - this.top, normal: new Vector2(0, -1) },
+            { depth: this.bottom - position.y, normal: new Vector2(0, 1) }
+        ];
+        let exit = exits[0];
+        for (let candidate of exits) {
+            if (candidate.depth < exit.depth) exit = candidate;
+        }
+        position.x += exit.normal.x * (exit.depth + radius);
+        position.y += exit.normal.y * (exit.depth + radius);
+        return exit.normal;
+    }
+    
+    /**
+     * Check if a segment crosses the rectangle (slab clipping)
+     * @param {number} x1 - Segment start x
+     * @param {number} y1 - Segment start y
+     * @param {number} x2 - Segment end x
+     * @param {number} y2 - Segment end y
+     * @returns {boolean} True if the segment crosses the rectangle
+     */
+    blocksSegment(x1, y1, x2, y2) {
+        let enter = 0;
+        let leave = 1;
+        const slabs = [
+            [x1, x2 - x1, this.left, this.right],
+            [y1, y2 - y1, this.top, this.bottom]
+        ];
+        
+        for (let [start, delta, min, max] of slabs) {
+            if (delta === 0) {
+                if (start < min || start > max) return false;
+                continue;
+            }
+            let t1 = (min - start) / delta;
+            let t2 = (max - start) / delta;
+            if (t1 > t2) [t1, t2] = [t2, t1];
+            enter = Math.max(enter, t1);
+            leave = Math.min(leave, t2);
+            if (enter > leave) return false;
+        }
+        return true;
+    }
+    
+    /**
+     * Description of the obstacle, as given in settings.obstacles
+     * @returns {Object} { type: 'rect', x, y, width, height }
+     */
+    toSpec() {
+        return { type: 'rect', x: this.position.x, y: this.position.y, width: this.width, height: this.height };
+    }
+}
+
+// Fields of each custom obstacle type: position, then sizes (above 0)
+const OBSTACLE_FIELDS = {
+    circle: { position: ['x', 'y'], sizes: ['radius'] },
+    rect: { position: ['x', 'y'], sizes: ['width', 'height'] }
+};
+
+// Obstacle layouts that can be chosen, sized by the arena size and kept
+// near the center so they fit every arena shape
+const OBSTACLE_LAYOUTS = {
+    none: { label: 'Aucun', create: size => [] },
+    pillar: { label: 'Une colonne au centre', create: size => [new CircleObstacle(0, 0, size * 0.06)] },
+    columns: {
+        label: 'Quatre colonnes',
+        create: size => [-1, 1].flatMap(sx => [-1, 1].map(sy =>
+            new CircleObstacle(sx * size * 0.14, sy * size * 0.14, size * 0.04)))
+    },
+    furniture: {
+        label: 'Mobilier',
+        create: size => [
+            new RectObstacle(-size * 0.12, -size * 0.1, size * 0.16, size * 0.06),
+            new RectObstacle(size * 0.12, size * 0.1, size * 0.06, size * 0.14)
+        ]
+    }
+};
+
+/**
+ * Create the obstacles for a run
+ * @param {Object} settings - Simulation settings (obstacleLayout, or obstacles
+ *                            for a custom list of { type: 'circle', x, y, radius }
+ *                            and { type: 'rect', x, y, width, height })
+ * @param {Arena} arena - The playing area (layouts scale with its size)
+ * @returns {Array<Obstacle>} The obstacles
+ * @throws {Error} For an unknown layout or an invalid custom obstacle
+ */
+function createObstacles(settings, arena) {
+    if (settings.obstacles) {
+        checkObstacleSpecs(settings.obstacles);
+        return settings.obstacles.map(spec => spec.type === 'circle'
+            ? new CircleObstacle(spec.x, spec.y, spec.radius)
+            : new RectObstacle(spec.x, spec.y, spec.width, spec.height));
+    }
+    
+    const layout = OBSTACLE_LAYOUTS[settings.obstacleLayout];
+    if (!layout) {
+        throw new Error(`Unknown obstacle layout "${settings.obstacleLayout}"`);
+    }
+    return layout.create(arena.size);
+}
+
+/**
+ * Check a list of custom obstacles (see createObstacles)
+ * @param {Array<Object>} specs - { type: 'circle', x, y, radius } and { type: 'rect', x, y, width, height }
+ * @throws {Error} If it is not a list, or an obstacle has an unknown type or a missing or invalid number
+ */
+function checkObstacleSpecs(specs) {
+    if (!Array.isArray(specs)) {
+        throw new Error('Obstacles must be a list');
+    }
+    specs.forEach((spec, index) => {
+        const fields = spec && OBSTACLE_FIELDS[spec.type];
+        if (!fields) {
+            throw new Error(`Obstacle ${index + 1}: unknown type "${spec && spec.type}" (expected circle or rect)`);
+        }
+        for (let name of fields.position.concat(fields.sizes)) {
+            const value = spec[name];
+            const valid = typeof value === 'number' && Number.isFinite(value) &&
+                (!fields.sizes.includes(name) || value > 0);
+            if (!valid) {
+                throw new Error(`Obstacle ${index + 1}: invalid ${name} ${JSON.stringify(value)}`);
+            }
+        }
+    });
+}
+
+// Export for Node.js (in the browser these are globals)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        Obstacle,
+        CircleObstacle,
+        RectObstacle,
+        OBSTACLE_LAYOUTS,
+        createObstacles,
+        checkObstacleSpecs
+    };
+}
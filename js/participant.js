@@ -1,6 +1,31 @@
+// Node.js: load the modules the browser gets from <script> tags
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./vector.js'), require('./random.js'), require('./clock.js'),
+        require('./events.js'), require('./gaze-strategies.js'), require('./movement-models.js'));
+}
+
+// Lifecycle states of a participant
+const ParticipantState = Object.freeze({
+    ENTERING: 'entering',     // Walking in from outside at the start
+    INSIDE: 'inside',         // Playing inside the arena
+    LEAVING: 'leaving',       // Excluded, walking to the edge
+    AT_EDGE: 'atEdge',        // Excluded, waiting at the edge for eye contact
+    REENTERING: 'reentering'  // Back in after eye contact, walking away from the edge
+});
+
+// Allowed transitions: state -> states it may change to
+const PARTICIPANT_TRANSITIONS = Object.freeze({
+    entering: ['inside'],
+    inside: ['leaving'],
+    leaving: ['atEdge'],
+    atEdge: ['reentering'],
+    reentering: ['inside', 'leaving']
+});
+
 /**
  * Participant Class
  * Represents a single participant in the theater exercise simulation
+ * (simulation state only - drawing is done by the Renderer)
  */
 class Participant {
     /**
@@ -8,52 +33,96 @@ class Participant {
      * @param {number} id - Unique identifier for the participant
      * @param {number} x - Initial x position
      * @param {number} y - Initial y position
-     * @param {number} squareSize - Size of the square area
+     * @param {Arena} arena - The playing area
      * @param {Object} settings - Simulation settings
+     * @param {Object} context - Shared simulation objects
+     * @param {SeededRandom} context.rng - Shared random source of the simulation
+     * @param {SimulationClock} context.clock - Simulation clock (all timings use sim time)
+     * @param {Object} context.logger - Object with a log() method (defaults to console)
+     * @param {SpatialGrid} context.grid - Spatial index of all participants (optional)
+     * @param {Array} context.participants - All participants (bodies that can block sight)
+     * @param {Array} context.obstacles - Static obstacles of the arena (optional)
+     * @param {EventBus} context.events - Bus for the lifecycle and eye contact events (optional)
      */
-    constructor(id, x, y, squareSize, settings) {
+    constructor(id, x, y, arena, settings, context = {}) {
         this.id = id;
-        this.position = createVector(x, y);
+        this.position = new Vector2(x, y);
+        this.arena = arena;
+        
+        // All random decisions go through the simulation's seeded generator
+        this.rng = context.rng || new SeededRandom();
+        this.clock = context.clock || new SimulationClock();
+        this.logger = context.logger || console;
+        this.grid = context.grid || null;
+        this.allParticipants = context.participants || [];
+        this.obstacles = context.obstacles || [];
+        this.events = context.events || new EventBus();
         
         // IMPORTANT: Initialize with non-zero velocity components
         // Create a random velocity with explicitly set x and y components
-        this.dx = random(-2, 2) * settings.simulationSpeed;
-        this.dy = random(-2, 2) * settings.simulationSpeed;
-        this.velocity = createVector(this.dx, this.dy);
+        this.dx = this.rng.random(-2, 2) * settings.simulationSpeed;
+        this.dy = this.rng.random(-2, 2) * settings.simulationSpeed;
+        this.velocity = new Vector2(this.dx, this.dy);
         
         // Make sure velocity is never zero in both components
-        if (abs(this.dx) < 0.5) this.dx = (this.dx >= 0) ? 0.5 : -0.5;
-        if (abs(this.dy) < 0.5) this.dy = (this.dy >= 0) ? 0.5 : -0.5;
+        if (Math.abs(this.dx) < 0.5) this.dx = (this.dx >= 0) ? 0.5 : -0.5;
+        if (Math.abs(this.dy) < 0.5) this.dy = (this.dy >= 0) ? 0.5 : -0.5;
         this.velocity.set(this.dx, this.dy);
         
         this.bodyDirection = this.velocity.heading();
         
         // Head can rotate relative to the body, with limits
         this.headDirection = this.bodyDirection;
-        this.maxHeadRotation = radians(140); // Maximum head rotation from body direction
+        this.maxHeadRotation = 140 * Math.PI / 180; // Maximum head rotation from body direction
         this.headRotationSpeed = settings.headRotationSpeed;
         this.headRotationTarget = this.headDirection;
         
+        // How the participant walks inside the arena (replaceable)
+        this.movementModel = new BounceWalk(settings);
+        
+        // Where the head looks: inside the arena (replaceable), while entering, at the edge
+        this.gazeStrategy = new WalkDirectionGaze();
+        this.entryGaze = new CenterGaze();
+        this.edgeGaze = new EdgeSweepGaze();
+        
+        // Input of the person steering this participant (see Simulation.takeControl), null for the AI
+        this.control = null;
+        this.aiBehaviour = null; // Models to restore when the person lets go
+        
         // Vision properties
-        this.visionAngle = radians(settings.visionAngle);
-        this.visionDistance = squareSize * 0.8; // Can see most of the square
+        this.visionAngle = settings.visionAngle * Math.PI / 180;
+        this.visionDistance = arena.size * 0.8; // Can see most of the arena
+        this.occlusion = !!settings.occlusion; // Other bodies block the line of sight
+        
+        // With exclusive pairing the simulation assigns one partner per step
+        // instead of each participant searching on its own
+        this.exclusivePairing = (settings.pairingMode || 'free') !== 'free';
+        
+        // Lifecycle state (see ParticipantState), with every transition recorded
+        this.state = ParticipantState.ENTERING;
+        this.stateSince = this.clock.now();
+        this.stateHistory = [{ from: null, to: this.state, time: this.stateSince }];
         
         // Status properties
-        this.isInside = true;
-        this.isExcluded = false; // New property to track exclusion status
-        this.lastEyeContactTime = millis();
+        this.lastEyeContactTime = this.clock.now();
         this.hasEyeContact = false;
         this.eyeContactPartnerId = null;
+        this.eyeContactSince = 0; // When the current eye contact was established
         this.exclusionTimeout = settings.timeoutDuration * 1000;
         
+        // A mutual gaze only counts once it has been held for the dwell time
+        this.contactDwellTime = settings.contactDwellTime || 0; // ms
+        this.acquiringPartner = null; // Partner of the gaze being built (or held)
+        this.acquiringSince = 0;
+        
         // Exclusion state tracking
-        this.isMovingToEdge = false; // Moving towards the edge when being excluded
         this.edgeTarget = null; // Position on the edge to move towards
+        this.reentryDistance = 20; // Distance from the edge that ends re-entering
         
         // Statistics tracking
         this.totalTimeInside = 0;
         this.totalTimeOutside = 0;
-        this.lastStatusChangeTime = millis();
+        this.lastStatusChangeTime = this.clock.now();
         this.exitCount = 0;
         this.eyeContactCount = 0;
         
@@ -63,102 +132,181 @@ class Participant {
         this.nextDirectionChange = 0; // Force immediate direction change
         this.directionChangeTimer = 0;
         
-        // Appearance
+        // Body diameter
         this.size = 10;
-        this.color = color(50, 150, 200);       // Normal color (inside)
-        this.excludedColor = color(200, 100, 50); // Excluded color (at edge)
-        this.movingToEdgeColor = color(255, 150, 0); // Moving to edge color
-        this.eyeContactColor = color(100, 200, 100);
         
-        // Ensure all participants start moving
-        this.isMoving = true;
+        // Walkers steer away from bodies closer than this (gap between bodies, 0 = off)
+        this.personalSpace = settings.personalSpace || 0;
         
-        console.log(`Participant ${id} created with velocity: (${this.dx}, ${this.dy})`);
+        this.logger.log(`Participant ${id} created with velocity: (${this.dx}, ${this.dy})`);
     }
     
     /**
-     * Simple, direct update function for normal movement
-     * @param {number} squareSize - Size of the square area
-     * @param {number} deltaTime - Time since last frame in seconds
+     * In the arena: playing, re-entering, or leaving but not at the edge yet
+     * @returns {boolean} True if the participant counts as inside
      */
-    updateNormalMovement(squareSize, deltaTime) {
-        const halfSize = squareSize / 2;
-        
-        // Apply velocity
-        let newX = this.position.x + this.dx * deltaTime * 60; // Scale by deltaTime for 60fps equivalent
-        let newY = this.position.y + this.dy * deltaTime * 60;
-        
-        // Boundary checks and reflection
-        let bounced = false;
-        if (newX < -halfSize || newX > halfSize) {
-            this.dx = -this.dx;
-            bounced = true;
-            // Ensure not out of bounds
-            if (newX < -halfSize) newX = -halfSize;
-            if (newX > halfSize) newX = halfSize;
-        }
-        
-        if (newY < -halfSize || newY > halfSize) {
-            this.dy = -this.dy;
-            bounced = true;
-            // Ensure not out of bounds
-            if (newY < -halfSize) newY = -halfSize;
-            if (newY > halfSize) newY = halfSize;
+    get isInside() {
+        return this.state === ParticipantState.INSIDE || this.state === ParticipantState.REENTERING ||
+            this.state === ParticipantState.LEAVING;
+    }
+    
+    /**
+     * Excluded: leaving or waiting at the edge
+     * @returns {boolean} True if the participant is excluded
+     */
+    get isExcluded() {
+        return this.state === ParticipantState.LEAVING || this.state === ParticipantState.AT_EDGE;
+    }
+    
+    /**
+     * Walking to the edge after being excluded
+     * @returns {boolean} True while leaving
+     */
+    get isMovingToEdge() {
+        return this.state === ParticipantState.LEAVING;
+    }
+    
+    /**
+     * Change the lifecycle state and record the transition
+     * @param {string} state - New state (a ParticipantState value)
+     * @throws {Error} If the current state may not change to the new one
+     */
+    transitionTo(state) {
+        if (!PARTICIPANT_TRANSITIONS[this.state].includes(state)) {
+            throw new Error(`Participant ${this.id}: invalid state transition ${this.state} -> ${state}`);
         }
         
-        // Random changes (1% chance)
-        if (random() < 0.01) {
-            this.dx = random(-2, 2);
-            this.dy = random(-2, 2);
-            // Make sure velocity is never zero in both components
-            if (abs(this.dx) < 0.5) this.dx = (this.dx >= 0) ? 0.5 : -0.5;
-            if (abs(this.dy) < 0.5) this.dy = (this.dy >= 0) ? 0.5 : -0.5;
+        const time = this.clock.now();
+        this.stateHistory.push({ from: this.state, to: state, time });
+        this.state = state;
+        this.stateSince = time;
+    }
+    
+    /**
+     * Emit an event about this participant on the simulation's event bus
+     * (nothing is built when nobody listens)
+     * @param {string} type - Event type (see EVENT_TYPES)
+     * @param {Participant|null} partner - Other participant involved, if any
+     * @param {Object} extra - Additional event fields
+     */
+    emit(type, partner = null, extra = {}) {
+        if (!this.events.hasListeners(type)) return;
+        
+        this.events.emit(Object.assign({
+            type,
+            time: this.clock.now(),
+            participantId: this.id,
+            position: { x: this.position.x, y: this.position.y },
+            partnerId: partner ? partner.id : null,
+            partnerPosition: partner ? { x: partner.position.x, y: partner.position.y } : null
+        }, extra));
+    }
+    
+    /**
+     * Update function for normal movement inside the arena
+     * @param {Arena} arena - The playing area
+     * @param {number} deltaTime - Time since last frame in seconds
+     */
+    updateNormalMovement(arena, deltaTime) {
+        // Keep out of other people's personal space
+        if (this.personalSpace > 0) {
+            this.steerAroundOthers(deltaTime);
         }
         
-        // Update position
-        this.position.x = newX;
-        this.position.y = newY;
+        // Let the movement model walk the participant
+        this.movementModel.update(this, deltaTime, arena);
         
-        // Update velocity vector for the rest of the code
-        this.velocity.set(this.dx, this.dy);
-        
-        // Update body and head direction
-        if (bounced || random() < 0.01) {
-            this.bodyDirection = this.velocity.heading();
-            this.headRotationTarget = this.bodyDirection;
-        }
+        // Let the gaze strategy choose where to look
+        this.gazeStrategy.update(this, deltaTime, arena);
         
         // Smoothly rotate head towards target
         let headDiff = this.headRotationTarget - this.headDirection;
         // Ensure we rotate the shorter way around the circle
-        if (headDiff > PI) headDiff -= TWO_PI;
-        if (headDiff < -PI) headDiff += TWO_PI;
+        if (headDiff > Math.PI) headDiff -= Math.PI * 2;
+        if (headDiff < -Math.PI) headDiff += Math.PI * 2;
         this.headDirection += headDiff * this.headRotationSpeed * deltaTime;
     }
     
+    /**
+     * Turn the walking direction away from bodies inside the personal space
+     * (the speed stays the same, only the direction changes)
+     * @param {number} deltaTime - Time since last frame in seconds
+     */
+    steerAroundOthers(deltaTime) {
+        const speed = Math.sqrt(this.dx * this.dx + this.dy * this.dy);
+        if (speed === 0) return;
+        
+        // Sum of the directions away from each intruder, stronger the closer it is
+        // (obstacles too, so walkers go around them)
+        let awayX = 0;
+        let awayY = 0;
+        for (let obstacle of this.obstacles) {
+            const nearest = obstacle.nearestPoint(this.position.x, this.position.y);
+            const offsetX = this.position.x - nearest.x;
+            const offsetY = this.position.y - nearest.y;
+            const distance = Math.sqrt(offsetX * offsetX + offsetY * offsetY);
+            const reach = this.size / 2 + this.personalSpace;
+            if (distance === 0 || distance >= reach) continue;
+            
+            const weight = 1 - distance / reach;
+            awayX += offsetX / distance * weight;
+            awayY += offsetY / distance * weight;
+        }
+        
+        const visit = other => {
+            if (other === this || !other.isInside) return false;
+            const offsetX = this.position.x - other.position.x;
+            const offsetY = this.position.y - other.position.y;
+            const distance = Math.sqrt(offsetX * offsetX + offsetY * offsetY);
+            const reach = (this.size + other.size) / 2 + this.personalSpace;
+            if (distance === 0 || distance >= reach) return false;
+            
+            const weight = 1 - distance / reach;
+            awayX += offsetX / distance * weight;
+            awayY += offsetY / distance * weight;
+            return false;
+        };
+        
+        const reach = this.size + this.personalSpace;
+        if (this.grid) {
+            this.grid.forEachInCircle(this.position.x, this.position.y, reach, visit);
+        } else {
+            this.allParticipants.forEach(visit);
+        }
+        if (awayX === 0 && awayY === 0) return;
+        
+        // Blend the walking direction with the escape direction
+        const turnRate = 4; // 1/s at full intrusion
+        const blend = Math.min(turnRate * deltaTime, 1);
+        const newX = this.dx / speed + awayX * blend;
+        const newY = this.dy / speed + awayY * blend;
+        const length = Math.sqrt(newX * newX + newY * newY);
+        if (length === 0) return;
+        
+        this.dx = newX / length * speed;
+        this.dy = newY / length * speed;
+        this.velocity.set(this.dx, this.dy);
+    }
+    
     /**
      * Update movement for when moving to edge (excluded)
-     * @param {number} squareSize - Size of the square area
+     * @param {Arena} arena - The playing area
      * @param {number} deltaTime - Time since last frame in seconds
      * @param {Object} settings - Simulation settings
      */
-    updateMovingToEdge(squareSize, deltaTime, settings) {
-        const halfSize = squareSize / 2;
-        
+    updateMovingToEdge(arena, deltaTime, settings) {
         if (!this.edgeTarget) {
             // Calculate nearest edge point if we don't have one
-            this.calculateEdgeTarget(halfSize);
+            this.calculateEdgeTarget(arena);
         }
         
         // Move towards the edge
-        let toEdge = p5.Vector.sub(this.edgeTarget, this.position);
+        let toEdge = Vector2.sub(this.edgeTarget, this.position);
         let distToEdge = toEdge.mag();
         
         if (distToEdge < 5) {
             // Reached the edge
-            console.log(`Participant ${this.id} reached the edge`);
             this.position = this.edgeTarget.copy();
-            this.isMovingToEdge = false;
             this.edgeTarget = null;
             
             // Stop movement at the edge
@@ -167,10 +315,9 @@ class Participant {
             this.velocity.set(0, 0);
             
             // Update statistics
-            if (this.isInside) {
-                this.isInside = false;
-                this.lastStatusChangeTime = millis();
-            }
+            this.transitionTo(ParticipantState.AT_EDGE);
+            this.lastStatusChangeTime = this.clock.now();
+            this.emit('reachedEdge');
         } else {
             // Still moving to the edge
             toEdge.normalize();
@@ -183,58 +330,83 @@ class Participant {
             // Update position
             this.position.x += this.dx * deltaTime * 60;
             this.position.y += this.dy * deltaTime * 60;
+            this.slideAroundObstacles(deltaTime);
             
             // Update body direction to face movement direction
             this.bodyDirection = this.velocity.heading();
         }
     }
     
+    /**
+     * Keep the body out of the obstacles. A participant walking into one
+     * slides along it, so walks toward a fixed target go around it.
+     * @param {number} deltaTime - Time since last frame in seconds
+     * @returns {boolean} True if an obstacle was in the way
+     */
+    slideAroundObstacles(deltaTime) {
+        let hit = false;
+        for (let obstacle of this.obstacles) {
+            const normal = obstacle.pushOut(this.position, this.size / 2);
+            if (!normal) continue;
+            hit = true;
+            
+            // The blocked part of the step goes sideways instead
+            const into = this.dx * normal.x + this.dy * normal.y;
+            if (into < 0) {
+                const side = this.dx * -normal.y + this.dy * normal.x >= 0 ? 1 : -1;
+                const slide = -into * deltaTime * 60 * side;
+                this.position.x -= normal.y * slide;
+                this.position.y += normal.x * slide;
+            }
+        }
+        return hit;
+    }
+    
     /**
      * Update movement during the initial period (moving from outside to inside)
-     * @param {number} squareSize - Size of the square area
+     * @param {Arena} arena - The playing area
      * @param {number} deltaTime - Time since last frame in seconds
      * @param {Object} settings - Simulation settings
      * @param {Array} participants - All participants in the simulation
      */
-    updateInitialMovement(squareSize, deltaTime, settings, participants = []) {
-        const halfSize = squareSize / 2;
-        
+    updateInitialMovement(arena, deltaTime, settings, participants = []) {
         // Apply velocity - already set toward center during initialization
         let newX = this.position.x + this.dx * deltaTime * 60; // Scale by deltaTime for 60fps equivalent
         let newY = this.position.y + this.dy * deltaTime * 60;
         
-        // Check if we're crossing into the square
-        const wasOutside = !this.isInside;
-        const nowInside = Math.abs(newX) < halfSize && Math.abs(newY) < halfSize;
-        
-        if (wasOutside && nowInside) {
-            // Just entered the square
-            this.isInside = true;
-            this.lastStatusChangeTime = millis();
-            this.lastEyeContactTime = millis(); // Reset eye contact timer when entering
-            console.log(`Participant ${this.id} entered the square`);
+        // Check if we're crossing into the arena
+        if (arena.contains(newX, newY)) {
+            // Just entered the arena
+            this.transitionTo(ParticipantState.INSIDE);
+            this.lastStatusChangeTime = this.clock.now();
+            this.lastEyeContactTime = this.clock.now(); // Reset eye contact timer when entering
+            this.emit('entered');
         }
         
         // Update position
         this.position.x = newX;
         this.position.y = newY;
+        this.slideAroundObstacles(deltaTime);
         
         // Update body direction to face movement direction
         this.bodyDirection = this.velocity.heading();
         
-        // Smoothly rotate head towards target (already set to look toward center)
+        // Look toward the center while entering
+        this.entryGaze.update(this, deltaTime, arena);
+        
+        // Smoothly rotate head towards target
         let headDiff = this.headRotationTarget - this.headDirection;
         // Ensure we rotate the shorter way around the circle
-        if (headDiff > PI) headDiff -= TWO_PI;
-        if (headDiff < -PI) headDiff += TWO_PI;
+        if (headDiff > Math.PI) headDiff -= Math.PI * 2;
+        if (headDiff < -Math.PI) headDiff += Math.PI * 2;
         this.headDirection += headDiff * this.headRotationSpeed * deltaTime;
         
         // Handle boundary crossing - if we hit the edge, bounce inward
-        if (Math.abs(this.position.x) > halfSize || Math.abs(this.position.y) > halfSize) {
+        if (!arena.contains(this.position.x, this.position.y)) {
             // If we somehow got outside the boundary, redirect inward
-            const toCenter = createVector(-this.position.x, -this.position.y);
+            const toCenter = new Vector2(-this.position.x, -this.position.y);
             toCenter.normalize();
-            toCenter.mult(random(1, 2) * settings.simulationSpeed);
+            toCenter.mult(this.rng.random(1, 2) * settings.simulationSpeed);
             this.dx = toCenter.x;
             this.dy = toCenter.y;
             this.velocity.set(this.dx, this.dy);
@@ -245,7 +417,7 @@ class Participant {
         }
         
         // Check for eye contact with others
-        if (participants && participants.length > 0) {
+        if (participants && participants.length > 0 && !this.exclusivePairing) {
             this.checkEyeContact(participants, settings.timeoutDuration * 1000);
         }
     }
@@ -253,48 +425,58 @@ class Participant {
     /**
      * Update the participant's position, direction, and status
      * @param {Array} participants - All participants in the simulation
-     * @param {number} squareSize - Size of the square area
+     * @param {Arena} arena - The playing area
      * @param {Object} settings - Simulation settings
      * @param {number} deltaTime - Time since last frame in seconds
      * @param {boolean} skipExclusion - Whether to skip exclusion check (used during grace period)
      */
-    update(participants, squareSize, settings, deltaTime, skipExclusion = false) {
+    update(participants, arena, settings, deltaTime, skipExclusion = false) {
         // Handle different movement states
-        if (!this.isExcluded && this.isInside) {
-            // Normal movement inside square
-            this.updateNormalMovement(squareSize, deltaTime);
-        } else if (this.isMovingToEdge) {
-            // Moving towards edge when excluded
-            this.updateMovingToEdge(squareSize, deltaTime, settings);
-        } else if (this.isExcluded) {
-            // At edge, not moving but actively seeking eye contact
-            this.updateGazeSeeking(squareSize, deltaTime, settings);
-        } else if (!this.isInside && !this.isExcluded) {
-            // Initial movement from outside to inside
-            this.updateInitialMovement(squareSize, deltaTime, settings, participants);
+        switch (this.state) {
+            case ParticipantState.INSIDE:
+                // Normal movement inside the arena
+                this.updateNormalMovement(arena, deltaTime);
+                break;
+            case ParticipantState.LEAVING:
+                // Moving towards edge when excluded
+                this.updateMovingToEdge(arena, deltaTime, settings);
+                break;
+            case ParticipantState.AT_EDGE:
+                // At edge, not moving but actively seeking eye contact
+                this.updateGazeSeeking(arena, deltaTime, settings);
+                break;
+            case ParticipantState.REENTERING:
+                // Walking back in, away from the edge
+                this.updateReentering(arena, deltaTime);
+                break;
+            case ParticipantState.ENTERING:
+                // Initial movement from outside to inside
+                this.updateInitialMovement(arena, deltaTime, settings, participants);
+                break;
         }
         
         // Only check for eye contact if not excluded
-        if (!this.isExcluded && !this.isMovingToEdge) {
-            this.checkEyeContact(participants, settings.timeoutDuration * 1000);
+        if (!this.isExcluded) {
+            if (!this.exclusivePairing) {
+                this.checkEyeContact(participants, settings.timeoutDuration * 1000);
+            }
             
             // Check if we should be excluded (no eye contact for too long)
             if (!skipExclusion) {
-                let currentTime = millis();
+                let currentTime = this.clock.now();
                 if (this.isInside && !this.hasEyeContact) {
                     if (currentTime - this.lastEyeContactTime > settings.timeoutDuration * 1000) {
-                        console.log(`Participant ${this.id} being excluded (timeout: ${settings.timeoutDuration}s)`);
                         this.startExclusion();
                     }
                 }
             }
-        } else if (this.isExcluded && !this.isMovingToEdge) {
+        } else if (this.state === ParticipantState.AT_EDGE && !this.exclusivePairing) {
             // At edge, check for eye contact with participants inside
             this.checkReentry(participants);
         }
         
         // Track time spent inside/outside
-        let currentTime = millis();
+        let currentTime = this.clock.now();
         let timeDiff = currentTime - this.lastStatusChangeTime;
         
         if (this.isInside) {
@@ -307,63 +489,20 @@ class Participant {
         // Smoothly rotate head towards target even when not moving
         let headDiff = this.headRotationTarget - this.headDirection;
         // Ensure we rotate the shorter way around the circle
-        if (headDiff > PI) headDiff -= TWO_PI;
-        if (headDiff < -PI) headDiff += TWO_PI;
+        if (headDiff > Math.PI) headDiff -= Math.PI * 2;
+        if (headDiff < -Math.PI) headDiff += Math.PI * 2;
         this.headDirection += headDiff * this.headRotationSpeed * deltaTime;
     }
     
     /**
      * Update gaze direction for excluded participants at the edge
-     * @param {number} squareSize - Size of the square area
+     * @param {Arena} arena - The playing area
      * @param {number} deltaTime - Time since last frame in seconds
      * @param {Object} settings - Simulation settings 
      */
-    updateGazeSeeking(squareSize, deltaTime, settings) {
-        // Define gaze behavior based on position on the edge
-        const halfSize = squareSize / 2;
-        
-        // Determine which edge the participant is on
-        let edgePosition = '';
-        if (abs(this.position.x - halfSize) < 5) edgePosition = 'right';
-        if (abs(this.position.x + halfSize) < 5) edgePosition = 'left';
-        if (abs(this.position.y - halfSize) < 5) edgePosition = 'bottom';
-        if (abs(this.position.y + halfSize) < 5) edgePosition = 'top';
-        
-        // Update time for the sweep
-        if (!this.gazeSweepTime) this.gazeSweepTime = 0;
-        this.gazeSweepTime += deltaTime;
-        
-        // Calculate target angle based on edge position for a periodic sweep
-        let targetAngle;
-        
-        // Use mixed approach: 80% periodic sweep, 20% random jumps
-        if (random() < 0.2) {
-            // Random jump - look at a random point in the square
-            let randomX = random(-halfSize * 0.8, halfSize * 0.8);
-            let randomY = random(-halfSize * 0.8, halfSize * 0.8);
-            let vectorToRandom = createVector(randomX - this.position.x, randomY - this.position.y);
-            targetAngle = vectorToRandom.heading();
-            // Set to jump immediately to this angle
-            this.headDirection = targetAngle;
-            this.headRotationTarget = targetAngle;
-            this.gazeSweepTime = 0; // Reset sweep timer after a jump
-        } else {
-            // Periodic sweep - sweep back and forth across the square
-            // Calculate the center of the angle range to look at based on edge position
-            let centerAngle = 0;
-            let sweepRange = PI * 0.9; // About 160 degrees sweep range
-            
-            if (edgePosition === 'right') centerAngle = PI;
-            else if (edgePosition === 'left') centerAngle = 0;
-            else if (edgePosition === 'bottom') centerAngle = -PI/2;
-            else if (edgePosition === 'top') centerAngle = PI/2;
-            
-            // Calculate a periodic sweep using a sine wave
-            // The sine wave oscillates between -1 and 1, so we scale by half the sweep range
-            const frequency = 0.7; // Slower sweep
-            targetAngle = centerAngle + (Math.sin(this.gazeSweepTime * frequency) * (sweepRange / 2));
-            this.headRotationTarget = targetAngle;
-        }
+    updateGazeSeeking(arena, deltaTime, settings) {
+        // Sweep the gaze across the arena from the edge
+        this.edgeGaze.update(this, deltaTime, arena);
         
         // Make head rotation speed faster for excluded participants
         // This makes their searching behavior more obvious
@@ -372,37 +511,17 @@ class Participant {
         // Smoothly rotate head towards target with faster speed
         let headDiff = this.headRotationTarget - this.headDirection;
         // Ensure we rotate the shorter way around the circle
-        if (headDiff > PI) headDiff -= TWO_PI;
-        if (headDiff < -PI) headDiff += TWO_PI;
+        if (headDiff > Math.PI) headDiff -= Math.PI * 2;
+        if (headDiff < -Math.PI) headDiff += Math.PI * 2;
         this.headDirection += headDiff * seekingHeadSpeed * deltaTime;
     }
     
     /**
-     * Calculate the nearest point on the edge of the square
-     * @param {number} halfSize - Half the size of the square
+     * Calculate the nearest point on the edge of the arena
+     * @param {Arena} arena - The playing area
      */
-    calculateEdgeTarget(halfSize) {
-        // Figure out which edge is closest and set target there
-        let distToLeft = abs(this.position.x + halfSize);
-        let distToRight = abs(this.position.x - halfSize);
-        let distToTop = abs(this.position.y + halfSize);
-        let distToBottom = abs(this.position.y - halfSize);
-        
-        let minDist = min(distToLeft, distToRight, distToTop, distToBottom);
-        
-        if (minDist === distToLeft) {
-            // Left edge is closest
-            this.edgeTarget = createVector(-halfSize, this.position.y);
-        } else if (minDist === distToRight) {
-            // Right edge is closest
-            this.edgeTarget = createVector(halfSize, this.position.y);
-        } else if (minDist === distToTop) {
-            // Top edge is closest
-            this.edgeTarget = createVector(this.position.x, -halfSize);
-        } else {
-            // Bottom edge is closest
-            this.edgeTarget = createVector(this.position.x, halfSize);
-        }
+    calculateEdgeTarget(arena) {
+        this.edgeTarget = arena.nearestBoundaryPoint(this.position.x, this.position.y);
     }
     
     /**
@@ -411,39 +530,106 @@ class Participant {
      * @param {number} exclusionTimeout - Time in ms before exclusion
      */
     checkEyeContact(participants, exclusionTimeout) {
-        let hadEyeContact = this.hasEyeContact;
-        this.hasEyeContact = false;
-        this.eyeContactPartnerId = null;
+        let partner = null;
         
         // Skip if excluded or moving to edge
-        if (this.isExcluded || this.isMovingToEdge) return;
+        if (!this.isExcluded && !this.isMovingToEdge) {
+            partner = this.findMutualGaze(participants, other => {
+                // Skip if same participant, or if other is excluded or moving to edge
+                return other.id !== this.id && !other.isExcluded && !other.isMovingToEdge;
+            });
+        }
         
-        // For each other participant, check for mutual eye contact
-        for (let other of participants) {
-            // Skip if same participant, or if other is excluded or moving to edge
-            if (other.id === this.id || other.isExcluded || other.isMovingToEdge) continue;
+        this.setEyeContact(partner);
+    }
+    
+    /**
+     * Find a participant sharing a mutual gaze with this one, keeping the
+     * current partner as long as the gaze holds (so a dwell can complete)
+     * @param {Array} participants - All participants in the simulation
+     * @param {Function} accepts - Returns true for participants that may be partners
+     * @returns {Participant|null} The partner, or null if nobody meets our gaze
+     */
+    findMutualGaze(participants, accepts) {
+        const isMutual = other => accepts(other) && this.canSee(other) && other.canSee(this);
+        
+        const current = this.acquiringPartner;
+        if (current && isMutual(current)) {
+            return current;
+        }
+        
+        // For each nearby participant, check for mutual eye contact
+        let partner = null;
+        this.forEachNearby(participants, other => {
+            if (isMutual(other)) {
+                partner = other;
+                return true;
+            }
+            return false;
+        });
+        return partner;
+    }
+    
+    /**
+     * Follow a mutual gaze over time
+     * @param {Participant|null} partner - Partner sharing a mutual gaze this step, or null
+     * @returns {boolean} True once the gaze with this partner has lasted the dwell time
+     */
+    holdGaze(partner) {
+        if (partner !== this.acquiringPartner) {
+            this.acquiringPartner = partner;
+            this.acquiringSince = this.clock.now();
+        }
+        return partner !== null && this.clock.now() - this.acquiringSince >= this.contactDwellTime;
+    }
+    
+    /**
+     * Progress of a gaze that is being built but does not count yet
+     * @returns {number|null} Fraction of the dwell time reached (0 to 1), or null if not acquiring
+     */
+    getAcquiringProgress() {
+        if (!this.acquiringPartner || this.hasEyeContact || this.contactDwellTime <= 0) return null;
+        return Math.min((this.clock.now() - this.acquiringSince) / this.contactDwellTime, 1);
+    }
+    
+    /**
+     * Record the eye contact partner for this step
+     * @param {Participant|null} partner - Partner holding our gaze, or null for none
+     */
+    setEyeContact(partner) {
+        // A gaze that has not lasted the dwell time yet is only "acquiring"
+        const established = this.holdGaze(partner);
+        
+        const previousPartnerId = this.eyeContactPartnerId;
+        const partnerId = established ? partner.id : null;
+        this.hasEyeContact = established;
+        this.eyeContactPartnerId = partnerId;
+        
+        // A change of partner ends the old contact and starts a new one
+        if (previousPartnerId !== null && previousPartnerId !== partnerId &&
+            this.events.hasListeners('eyeContactEnd')) {
+            const previous = this.allParticipants.find(p => p.id === previousPartnerId) || null;
+            this.emit('eyeContactEnd', previous, { duration: this.clock.now() - this.eyeContactSince });
+        }
+        
+        if (established) {
+            this.lastEyeContactTime = this.clock.now();
             
-            // Check if other is in our field of view
-            if (this.canSee(other)) {
-                // Check if we are in their field of view (mutual)
-                if (other.canSee(this)) {
-                    this.hasEyeContact = true;
-                    this.eyeContactPartnerId = other.id;
-                    this.lastEyeContactTime = millis();
-                    
-                    // Count new eye contacts
-                    if (!hadEyeContact) {
-                        this.eyeContactCount++;
-                    }
-                    
-                    break;
+            if (previousPartnerId !== partnerId) {
+                // Only a contact after a moment without one counts as a new eye
+                // contact; going straight to another partner is a switch
+                const switched = previousPartnerId !== null;
+                if (!switched) {
+                    this.eyeContactCount++;
                 }
+                this.eyeContactSince = this.clock.now();
+                this.emit('eyeContactStart', partner, { switched });
             }
         }
     }
     
     /**
-     * Check if this participant should reenter the square
+     * Check if this participant should reenter the arena
      * @param {Array} participants - All participants in the simulation
      */
     checkReentry(participants) {
@@ -451,19 +637,31 @@ class Participant {
         if (!this.isExcluded || this.isMovingToEdge) return;
         
         // Check for eye contact with any participant inside
+        const partner = this.findMutualGaze(participants, other => {
+            // Skip if same participant, if other is excluded or moving to edge, or not inside
+            return other.id !== this.id && !other.isExcluded && !other.isMovingToEdge && other.isInside;
+        });
+        
+        // Re-enter once the gaze has been held long enough
+        if (this.holdGaze(partner)) {
+            this.reenter(partner);
+        }
+    }
+    
+    /**
+     * Visit the participants that may be inside the vision cone
+     * @param {Array} participants - All participants in the simulation (used without a spatial grid)
+     * @param {Function} visit - Called with each candidate, return true to stop early
+     */
+    forEachNearby(participants, visit) {
+        if (this.grid) {
+            this.grid.forEachInCone(this.position.x, this.position.y, this.visionDistance,
+                this.headDirection, this.visionAngle / 2, visit);
+            return;
+        }
+        
         for (let other of participants) {
-            // Skip if same participant, or if other is excluded or moving to edge
-            if (other.id === this.id || other.isExcluded || other.isMovingToEdge) continue;
-            
-            // Skip if other is not inside
-            if (!other.isInside) continue;
-            
-            // Check if mutual eye contact
-            if (this.canSee(other) && other.canSee(this)) {
-                console.log(`Participant ${this.id} reentering after eye contact with ${other.id}`);
-                this.reenter();
-                break;
-            }
+            if (visit(other)) return;
         }
     }
     
@@ -471,11 +669,11 @@ class Participant {
      * Start the exclusion process
      */
     startExclusion() {
-        if (!this.isExcluded && !this.isMovingToEdge) {
-            this.isExcluded = true;
-            this.isMovingToEdge = true;
+        if (this.state === ParticipantState.INSIDE || this.state === ParticipantState.REENTERING) {
+            this.transitionTo(ParticipantState.LEAVING);
             this.edgeTarget = null; // Will be calculated in the next update
             this.exitCount++;
+            this.emit('exclusionStarted', null, { timeSinceEyeContact: this.clock.now() - this.lastEyeContactTime });
         }
     }
     
@@ -485,82 +683,142 @@ class Participant {
      * @returns {boolean} True if the other participant is in the field of view
      */
     canSee(other) {
-        // Calculate vector to other participant
-        let toOther = p5.Vector.sub(other.position, this.position);
+        // Vector to other participant (plain numbers: this runs for every pair each step)
+        const dx = other.position.x - this.position.x;
+        const dy = other.position.y - this.position.y;
         
-        // Check distance
-        let distance = toOther.mag();
-        if (distance > this.visionDistance) {
+        // Check distance (squared, to skip the square root)
+        if (dx * dx + dy * dy > this.visionDistance * this.visionDistance) {
             return false;
         }
         
-        // Check angle
-        let angleToOther = toOther.heading();
-        let relativeDegree = degrees(angleToOther - this.headDirection);
-        
-        // Normalize to -180 to 180
-        while (relativeDegree > 180) relativeDegree -= 360;
-        while (relativeDegree < -180) relativeDegree += 360;
+        // Check angle, normalized to -PI..PI
+        let relativeAngle = Vector2.wrapAngle(Math.atan2(dy, dx) - this.headDirection);
         
         // Check if within vision angle
-        return abs(relativeDegree) <= degrees(this.visionAngle) / 2;
+        if (Math.abs(relativeAngle) > this.visionAngle / 2) {
+            return false;
+        }
+        
+        // Obstacles are opaque
+        if (this.obstacles.length > 0 && this.isSightBlockedByObstacle(other)) {
+            return false;
+        }
+        
+        // With occlusion, a body in between hides the other participant
+        return !this.occlusion || !this.isLineOfSightBlocked(other);
     }
     
     /**
-     * Re-enter the square
+     * Check if an obstacle stands between this participant and a target
+     * @param {Participant} target - The participant being looked at
+     * @returns {boolean} True if an obstacle crosses the line of sight
      */
-    reenter() {
-        if (this.isExcluded && !this.isMovingToEdge) {
-            console.log(`Participant ${this.id} reentering`);
+    isSightBlockedByObstacle(target) {
+        for (let obstacle of this.obstacles) {
+            if (obstacle.blocksSegment(this.position.x, this.position.y, target.position.x, target.position.y)) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * Check if another participant's body is between this participant and a target
+     * @param {Participant} target - The participant being looked at
+     * @returns {boolean} True if a body circle crosses the line of sight
+     */
+    isLineOfSightBlocked(target) {
+        const startX = this.position.x;
+        const startY = this.position.y;
+        const dx = target.position.x - startX;
+        const dy = target.position.y - startY;
+        const lengthSquared = dx * dx + dy * dy;
+        if (lengthSquared === 0) return false;
+        
+        const blocks = body => {
+            if (body === this || body === target) return false;
             
+            // Closest point of the sight line to the body center
+            const t = ((body.position.x - startX) * dx + (body.position.y - startY) * dy) / lengthSquared;
+            if (t <= 0 || t >= 1) return false;
+            const offsetX = startX + t * dx - body.position.x;
+            const offsetY = startY + t * dy - body.position.y;
+            const radius = body.size / 2;
+            return offsetX * offsetX + offsetY * offsetY < radius * radius;
+        };
+        
+        // Only bodies near the segment can block it
+        if (this.grid) {
+            return this.grid.forEachInBox(
+                Math.min(startX, target.position.x), Math.min(startY, target.position.y),
+                Math.max(startX, target.position.x), Math.max(startY, target.position.y),
+                blocks
+            );
+        }
+        return this.allParticipants.some(blocks);
+    }
+    
+    /**
+     * Re-enter the arena: walk away from the edge (see updateReentering)
+     * @param {Participant|null} partner - Participant whose gaze brought us back
+     */
+    reenter(partner = null) {
+        if (this.state === ParticipantState.AT_EDGE) {
             // Reset exclusion status
-            this.isExcluded = false;
-            this.isInside = true;
-            this.lastStatusChangeTime = millis();
-            this.lastEyeContactTime = millis(); // Reset eye contact timer
+            this.transitionTo(ParticipantState.REENTERING);
+            this.lastStatusChangeTime = this.clock.now();
+            this.lastEyeContactTime = this.clock.now(); // Reset eye contact timer
             
-            // Move slightly inward from the edge
-            const halfSize = 200; // Default value if edge position is uncertain
-            const moveDistance = 20; // Distance to move inward
+            // The gaze that brought us back is not an eye contact: the first
+            // contact inside has to be held for the whole dwell time again
+            this.acquiringPartner = null;
+            this.acquiringSince = this.clock.now();
             
-            // Determine which edge we're on
-            if (abs(this.position.x) >= halfSize - 5) {
-                // On the left or right edge
-                // Move inward perpendicular to the edge
-                const dirX = -this.sign(this.position.x);
-                this.position.x += dirX * moveDistance;
-                
-                // Set velocity to move away from edge with some random element
-                this.dx = dirX * random(1, 2);
-                this.dy = random(-1, 1);
-            } else if (abs(this.position.y) >= halfSize - 5) {
-                // On the top or bottom edge
-                // Move inward perpendicular to the edge
-                const dirY = -this.sign(this.position.y);
-                this.position.y += dirY * moveDistance;
-                
-                // Set velocity to move away from edge with some random element
-                this.dx = random(-1, 1);
-                this.dy = dirY * random(1, 2);
-            } else {
-                // Not clearly on an edge, move toward center
-                let towardCenter = createVector(-this.position.x, -this.position.y);
-                towardCenter.setMag(moveDistance);
-                this.position.add(towardCenter);
-                
-                // Random velocity
-                this.dx = random(-2, 2);
-                this.dy = random(-2, 2);
+            // Walk inward, perpendicular to the edge we are on
+            // (toward the center from a corner, where that would hit the other edge)
+            let inward = this.arena.inwardNormal(this.position.x, this.position.y);
+            if (!this.arena.contains(this.position.x + inward.x * this.reentryDistance,
+                this.position.y + inward.y * this.reentryDistance)) {
+                inward = new Vector2(-this.position.x, -this.position.y).normalize();
             }
             
+            // Set velocity to move away from edge with some random element along it
+            const away = this.rng.random(1, 2);
+            const along = this.rng.random(-1, 1);
+            this.dx = inward.x * away - inward.y * along;
+            this.dy = inward.y * away + inward.x * along;
+            
             // Ensure velocity is not too small
-            if (abs(this.dx) < 0.5) this.dx = (this.dx >= 0) ? 0.5 : -0.5;
-            if (abs(this.dy) < 0.5) this.dy = (this.dy >= 0) ? 0.5 : -0.5;
+            if (Math.abs(this.dx) < 0.5) this.dx = (this.dx >= 0) ? 0.5 : -0.5;
+            if (Math.abs(this.dy) < 0.5) this.dy = (this.dy >= 0) ? 0.5 : -0.5;
             
             // Update velocity vector
             this.velocity.set(this.dx, this.dy);
             this.bodyDirection = this.velocity.heading();
             this.headRotationTarget = this.bodyDirection;
+            
+            this.emit('reentered', partner);
+        }
+    }
+    
+    /**
+     * Walk in from the edge after re-entry, until clear of the edge
+     * @param {Arena} arena - The playing area
+     * @param {number} deltaTime - Time since last frame in seconds
+     */
+    updateReentering(arena, deltaTime) {
+        // Straight walk, bouncing off the walls and obstacles like inside
+        if (this.movementModel.move(this, deltaTime, arena)) {
+            this.bodyDirection = this.velocity.heading();
+        }
+        
+        // Look where we walk
+        this.headRotationTarget = this.bodyDirection;
+        
+        const edge = arena.nearestBoundaryPoint(this.position.x, this.position.y);
+        if (Vector2.sub(edge, this.position).mag() >= this.reentryDistance) {
+            this.transitionTo(ParticipantState.INSIDE);
         }
     }
     
@@ -572,65 +830,9 @@ class Participant {
     sign(x) {
         return x > 0 ? 1 : x < 0 ? -1 : 0;
     }
-    
-    /**
-     * Draw the participant on the canvas
-     * @param {number} squareSize - Size of the square area
-     */
-    draw(squareSize) {
-        push();
-        translate(this.position.x, this.position.y);
-        
-        // Draw vision cone (only if not moving to edge)
-        if (!this.isMovingToEdge) {
-            let visionHalfAngle = this.visionAngle / 2;
-            if (this.hasEyeContact) {
-                fill(this.eyeContactColor.levels[0], this.eyeContactColor.levels[1], 
-                    this.eyeContactColor.levels[2], 40);
-            } else {
-                let currentColor = this.isExcluded ? this.excludedColor : this.color;
-                fill(currentColor.levels[0], currentColor.levels[1], currentColor.levels[2], 40);
-            }
-            
-            noStroke();
-            beginShape();
-            vertex(0, 0);
-            for (let a = -visionHalfAngle; a <= visionHalfAngle; a += 0.1) {
-                let x = cos(this.headDirection + a) * this.visionDistance;
-                let y = sin(this.headDirection + a) * this.visionDistance;
-                vertex(x, y);
-            }
-            endShape(CLOSE);
-        }
-        
-        // Draw the body (circle)
-        if (this.isMovingToEdge) {
-            // Special color for being excluded and moving to edge
-            fill(this.movingToEdgeColor);
-        } else if (this.isExcluded) {
-            // At edge, stopped
-            fill(this.excludedColor);
-        } else if (this.hasEyeContact) {
-            fill(this.eyeContactColor);
-        } else {
-            fill(this.color);
-        }
-        
-        stroke(0, 50);
-        ellipse(0, 0, this.size, this.size);
-        
-        // Draw direction indicator (body direction)
-        stroke(0, 100);
-        let bodyX = cos(this.bodyDirection) * (this.size * 0.7);
-        let bodyY = sin(this.bodyDirection) * (this.size * 0.7);
-        line(0, 0, bodyX, bodyY);
-        
-        // Draw head direction (stronger line)
-        stroke(0);
-        let headX = cos(this.headDirection) * this.size;
-        let headY = sin(this.headDirection) * this.size;
-        line(0, 0, headX, headY);
-        
-        pop();
-    }
+}
+
+// Export for Node.js (in the browser the class is a global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Participant, ParticipantState, PARTICIPANT_TRANSITIONS };
 }
@@ -0,0 +1,62 @@
+/**
+ * SeededRandom Class
+ * Deterministic pseudo-random number generator (mulberry32) so that a run
+ * can be reproduced exactly from its seed
+ */
+class SeededRandom {
+    /**
+     * Constructor for a new random source
+     * @param {number} seed - Seed for the generator (a random one is picked if omitted)
+     */
+    constructor(seed) {
+        this.setSeed(seed === undefined || seed === null ? SeededRandom.randomSeed() : seed);
+    }
+    
+    /**
+     * Pick a fresh seed for runs where none was given
+     * @returns {number} An integer seed between 0 and 999999
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 1000000);
+    }
+    
+    /**
+     * Reset the generator to the start of the sequence for a seed
+     * @param {number} seed - Integer seed
+     */
+    setSeed(seed) {
+        this.seed = Math.floor(Number(seed)) || 0;
+        this.state = this.seed >>> 0;
+    }
+    
+    /**
+     * Next raw value of the sequence
+     * @returns {number} A float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    /**
+     * Random number with the same signature as p5's random()
+     * random() gives [0, 1), random(max) gives [0, max), random(min, max) gives [min, max)
+     * @param {number} min - Lower bound (or upper bound if it is the only argument)
+     * @param {number} max - Upper bound
+     * @returns {number} A float in the requested range
+     */
+    random(min, max) {
+        const r = this.next();
+        if (min === undefined) return r;
+        if (max === undefined) return r * min;
+        return min + r * (max - min);
+    }
+}
+
+// Export for Node.js (in the browser the class is a global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SeededRandom };
+}
@@ -0,0 +1,361 @@
+/**
+ * Renderer Class
+ * Draws the simulation state with p5.js (the simulation core itself never
+ * calls p5, so it can also run headless)
+ */
+class Renderer {
+    /**
+     * Constructor for the renderer
+     */
+    constructor() {
+        // Participant colors per lifecycle state, as [r, g, b]
+        this.stateColors = {
+            entering: [50, 150, 200],      // Same as inside
+            inside: [50, 150, 200],        // Normal color (inside)
+            leaving: [255, 150, 0],        // Moving to edge color
+            atEdge: [200, 100, 50],        // Excluded color (at edge)
+            reentering: [80, 170, 190]     // Back in, still near the edge
+        };
+        
+        // Other colors as [r, g, b]
+        this.colors = {
+            eyeContact: [100, 200, 100],
+            acquiring: [160, 200, 60],     // Gaze held but not counted yet
+            obstacle: [150, 150, 150],
+            exclusionWarning: [220, 40, 40] // Replay: participant about to be excluded
+        };
+        
+        // Heatmap colors per layer as [r, g, b]
+        this.heatmapColors = {
+            occupancy: [255, 120, 0],
+            gaze: [140, 60, 200],
+            exclusions: [220, 40, 40]
+        };
+    }
+    
+    /**
+     * Draw the whole simulation (coordinates centered on the arena)
+     * @param {Simulation} simulation - The simulation to draw
+     * @param {Object} overlay - Optional heatmap drawn under the participants,
+     *                           as { heatmap: SpatialHeatmap, layer }
+     */
+    draw(simulation, overlay = null) {
+        // Before a run, preview the arena of the current settings
+        const arena = simulation.isRunning ? simulation.arena : createArena(simulation.settings);
+        const obstacles = simulation.isRunning ? simulation.obstacles : createObstacles(simulation.settings, arena);
+        
+        // Draw the arena boundary
+        stroke(0);
+        strokeWeight(2);
+        noFill();
+        this.drawArena(arena);
+        this.drawObstacles(obstacles);
+        
+        if (overlay && simulation.isRunning) {
+            this.drawHeatmap(overlay.heatmap, overlay.layer);
+        }
+        
+        // Draw all participants
+        for (let p of simulation.participants) {
+            this.drawParticipant(p);
+        }
+        
+        // Mark the gazes that are being acquired (dwell time not reached yet)
+        for (let p of simulation.participants) {
+            this.drawAcquiring(p);
+        }
+    }
+    
+    /**
+     * Draw a recorded run at the playback position of a replay
+     * @param {ReplayPlayer} player - Replay with its recording
+     */
+    drawReplay(player) {
+        const recorder = player.recorder;
+        if (!recorder.arena) return;
+        
+        stroke(0);
+        strokeWeight(2);
+        noFill();
+        this.drawArena(recorder.arena);
+        this.drawObstacles(recorder.obstacles);
+        
+        const participants = player.participants();
+        
+        // Eye contacts as lines, so the gaze pattern can be followed
+        const c = this.colors.eyeContact;
+        push();
+        strokeWeight(1);
+        stroke(c[0], c[1], c[2], 160);
+        for (let p of participants) {
+            if (p.eyeContactPartnerId !== null && p.eyeContactPartnerId > p.id) {
+                const partner = participants[p.eyeContactPartnerId];
+                line(p.position.x, p.position.y, partner.position.x, partner.position.y);
+            }
+        }
+        pop();
+        
+        for (let p of participants) {
+            this.drawParticipant(p);
+        }
+        
+        // Ring around participants who will be excluded within the timeout,
+        // getting stronger as the exclusion comes closer
+        const timeout = recorder.settings.timeoutDuration * 1000;
+        const w = this.colors.exclusionWarning;
+        push();
+        noFill();
+        strokeWeight(2);
+        for (let marker of recorder.markers) {
+            const remaining = marker.time - player.time;
+            if (remaining < 0 || remaining > timeout) continue;
+            const p = participants[marker.participantId];
+            stroke(w[0], w[1], w[2], 255 * (1 - remaining / timeout) + 60);
+            ellipse(p.position.x, p.position.y, p.size + 10, p.size + 10);
+        }
+        pop();
+    }
+    
+    /**
+     * Draw a multiplayer game from the server's snapshots, with the player's
+     * own participant marked and the other players named
+     * @param {RemoteGame} game - Game joined on a server
+     */
+    drawRemote(game) {
+        if (!game.arena) return;
+        
+        stroke(0);
+        strokeWeight(2);
+        noFill();
+        this.drawArena(game.arena);
+        this.drawObstacles(game.obstacles);
+        
+        const participants = game.participants();
+        for (let p of participants) {
+            this.drawParticipant(p);
+        }
+        
+        for (let player of game.players) {
+            const p = participants[player.participantId];
+            if (!p) continue;
+            if (player.participantId === game.participantId) {
+                this.drawPlayer(p);
+            } else {
+                push();
+                noStroke();
+                fill(60, 60, 60);
+                textAlign(CENTER, BOTTOM);
+                text(player.name, p.position.x, p.position.y - p.size);
+                pop();
+            }
+        }
+    }
+    
+    /**
+     * Draw one layer of a heatmap over the arena, darker where the value is
+     * higher (relative to the highest cell). On the gaze layer the cells no
+     * one ever looked at are grayed out; on the exclusion layer each
+     * exclusion is also marked with a cross.
+     * @param {SpatialHeatmap} heatmap - Accumulated maps of the run
+     * @param {string} layer - Layer name (see HEATMAP_LAYERS)
+     */
+    drawHeatmap(heatmap, layer) {
+        const values = heatmap.layers[layer];
+        if (!values) return;
+        const top = heatmap.max(layer);
+        const c = this.heatmapColors[layer];
+        
+        push();
+        noStroke();
+        rectMode(CORNER);
+        for (let row = 0; row < heatmap.rows; row++) {
+            for (let column = 0; column < heatmap.columns; column++) {
+                const index = row * heatmap.columns + column;
+                if (!heatmap.inArena[index]) continue;
+                const x = heatmap.bounds.left + column * heatmap.cellSize;
+                const y = heatmap.bounds.top + row * heatmap.cellSize;
+                if (values[index] > 0) {
+                    fill(c[0], c[1], c[2], 30 + 170 * Math.sqrt(values[index] / top));
+                    rect(x, y, heatmap.cellSize, heatmap.cellSize);
+                } else if (layer === 'gaze') {
+                    fill(120, 120, 120, 90);
+                    rect(x, y, heatmap.cellSize, heatmap.cellSize);
+                }
+            }
+        }
+        
+        if (layer === 'exclusions') {
+            stroke(c[0], c[1], c[2]);
+            strokeWeight(2);
+            for (let point of heatmap.exclusionPoints) {
+                line(point.x - 4, point.y - 4, point.x + 4, point.y + 4);
+                line(point.x - 4, point.y + 4, point.x + 4, point.y - 4);
+            }
+        }
+        pop();
+    }
+    
+    /**
+     * Mark the participant steered by the person playing
+     * @param {Participant} participant - Participant of the player
+     */
+    drawPlayer(participant) {
+        push();
+        noFill();
+        stroke(30, 30, 30);
+        strokeWeight(3);
+        ellipse(participant.position.x, participant.position.y, participant.size + 8, participant.size + 8);
+        noStroke();
+        fill(30, 30, 30);
+        textAlign(CENTER, BOTTOM);
+        text('Vous', participant.position.x, participant.position.y - participant.size);
+        pop();
+    }
+    
+    /**
+     * Mark the participant chosen in the inspector
+     * @param {Participant} participant - Selected participant
+     */
+    drawSelection(participant) {
+        push();
+        noFill();
+        stroke(0);
+        strokeWeight(2);
+        ellipse(participant.position.x, participant.position.y, participant.size + 14, participant.size + 14);
+        
+        // Line to the current partner
+        const partner = participant.allParticipants.find(p => p.id === participant.eyeContactPartnerId);
+        if (partner) {
+            stroke(0, 120);
+            strokeWeight(1);
+            line(participant.position.x, participant.position.y, partner.position.x, partner.position.y);
+        }
+        pop();
+    }
+    
+    /**
+     * Draw the outline of the arena
+     * @param {Arena} arena - The playing area
+     */
+    drawArena(arena) {
+        if (arena instanceof CircleArena) {
+            ellipse(0, 0, arena.radius * 2, arena.radius * 2);
+            return;
+        }
+        
+        beginShape();
+        for (let v of arena.vertices) {
+            vertex(v.x, v.y);
+        }
+        endShape(CLOSE);
+    }
+    
+    /**
+     * Draw the obstacles as filled shapes
+     * @param {Array<Obstacle>} obstacles - The obstacles of the arena
+     */
+    drawObstacles(obstacles) {
+        const c = this.colors.obstacle;
+        push();
+        fill(c[0], c[1], c[2]);
+        stroke(0, 100);
+        rectMode(CENTER);
+        for (let obstacle of obstacles) {
+            if (obstacle instanceof CircleObstacle) {
+                ellipse(obstacle.position.x, obstacle.position.y, obstacle.radius * 2, obstacle.radius * 2);
+            } else {
+                rect(obstacle.position.x, obstacle.position.y, obstacle.width, obstacle.height);
+            }
+        }
+        pop();
+    }
+    
+    /**
+     * Draw an "acquiring" gaze: a thin line to the partner and a ring that
+     * fills up until the dwell time is reached
+     * @param {Participant} participant - The participant
+     */
+    drawAcquiring(participant) {
+        const progress = participant.getAcquiringProgress();
+        if (progress === null) return;
+        
+        const c = this.colors.acquiring;
+        const partner = participant.acquiringPartner;
+        
+        push();
+        strokeWeight(1);
+        stroke(c[0], c[1], c[2], 120);
+        line(participant.position.x, participant.position.y, partner.position.x, partner.position.y);
+        
+        strokeWeight(2);
+        stroke(c[0], c[1], c[2]);
+        noFill();
+        const ringSize = participant.size + 6;
+        arc(participant.position.x, participant.position.y, ringSize, ringSize,
+            -HALF_PI, -HALF_PI + TWO_PI * Math.max(progress, 0.01));
+        pop();
+    }
+    
+    /**
+     * Draw a participant on the canvas
+     * @param {Participant} participant - The participant to draw
+     */
+    drawParticipant(participant) {
+        push();
+        translate(participant.position.x, participant.position.y);
+        
+        // Draw vision cone (only if not moving to edge)
+        if (participant.state !== ParticipantState.LEAVING) {
+            let visionHalfAngle = participant.visionAngle / 2;
+            let coneColor;
+            if (participant.hasEyeContact) {
+                coneColor = this.colors.eyeContact;
+            } else {
+                coneColor = this.stateColors[participant.state];
+            }
+            fill(coneColor[0], coneColor[1], coneColor[2], 40);
+            
+            noStroke();
+            beginShape();
+            vertex(0, 0);
+            for (let a = -visionHalfAngle; a <= visionHalfAngle; a += 0.1) {
+                let x = cos(participant.headDirection + a) * participant.visionDistance;
+                let y = sin(participant.headDirection + a) * participant.visionDistance;
+                vertex(x, y);
+            }
+            endShape(CLOSE);
+        }
+        
+        // Draw the body (circle)
+        fill(this.bodyColor(participant));
+        stroke(0, 50);
+        ellipse(0, 0, participant.size, participant.size);
+        
+        // Draw direction indicator (body direction)
+        stroke(0, 100);
+        let bodyX = cos(participant.bodyDirection) * (participant.size * 0.7);
+        let bodyY = sin(participant.bodyDirection) * (participant.size * 0.7);
+        line(0, 0, bodyX, bodyY);
+        
+        // Draw head direction (stronger line)
+        stroke(0);
+        let headX = cos(participant.headDirection) * participant.size;
+        let headY = sin(participant.headDirection) * participant.size;
+        line(0, 0, headX, headY);
+        
+        pop();
+    }
+    
+    /**
+     * Body color for the participant's current state
+     * @param {Participant} participant - The participant
+     * @returns {Array} Color as [r, g, b]
+     */
+    bodyColor(participant) {
+        // Eye contact shows on everyone still in the game
+        if (participant.hasEyeContact && !participant.isExcluded) {
+            return this.colors.eyeContact;
+        }
+        return this.stateColors[participant.state];
+    }
+}
@@ -0,0 +1,272 @@
+// Node.js: load the modules the browser gets from <script> tags
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./events.js'), require('./participant.js'));
+}
+
+// Lifecycle states by index, for the compact per-step storage
+const RECORDED_STATES = Object.values(ParticipantState);
+
+// Bytes stored per participant and step: 4 floats, a state and a partner id
+const RECORDED_BYTES_PER_PARTICIPANT = 4 * 4 + 1 + 4;
+
+/**
+ * SessionRecorder Class
+ * Records the state of every participant at every simulation step of the
+ * current run (position, body and head direction, lifecycle state, eye
+ * contact partner), plus the exclusions as markers for the timeline.
+ * A new run clears the recording.
+ */
+class SessionRecorder {
+    /**
+     * Constructor for a recorder attached to a simulation
+     * @param {Simulation} simulation - Simulation to record
+     * @param {Object} options - Optional { maxFrames (default 10 minutes at 60 steps/s),
+     *                           maxBytes (default 64 MiB) }: recording stops after
+     *                           maxFrames steps, or earlier when the steps of a large
+     *                           group would take more than maxBytes
+     */
+    constructor(simulation, options = {}) {
+        this.simulation = simulation;
+        this.maxFrames = options.maxFrames || 36000;
+        this.maxBytes = options.maxBytes || 64 * 1024 * 1024;
+        this.clear();
+        
+        this.handlers = {
+            runStarted: simulation.on('runStarted', event => this.startRun(event)),
+            step: simulation.on('step', () => this.recordFrame()),
+            exclusionStarted: simulation.on('exclusionStarted', event => this.addMarker(event))
+        };
+    }
+    
+    /**
+     * Forget the current recording
+     */
+    clear() {
+        this.frames = [];    // { time, values, states, partners } per step
+        this.markers = [];   // Exclusions: { time, type, participantId }
+        this.settings = null;
+        this.arena = null;
+        this.obstacles = [];
+        this.participantCount = 0;
+        this.visionAngle = 0;
+        this.visionDistance = 0;
+        this.bodySize = 10;
+        this.frameLimit = this.maxFrames; // Steps this run may record
+        this.truncated = false; // True when the frame limit was reached
+    }
+    
+    /**
+     * Stop recording (the recording is kept)
+     */
+    detach() {
+        for (let type of Object.keys(this.handlers)) {
+            this.simulation.off(type, this.handlers[type]);
+        }
+    }
+    
+    /**
+     * Start a new recording for a new run
+     * @param {Object} event - The runStarted event
+     */
+    startRun(event) {
+        this.clear();
+        this.settings = event.settings;
+        this.arena = this.simulation.arena;
+        this.obstacles = this.simulation.obstacles;
+        this.participantCount = this.simulation.participants.length;
+        const frameBytes = Math.max(this.participantCount, 1) * RECORDED_BYTES_PER_PARTICIPANT;
+        this.frameLimit = Math.max(Math.min(this.maxFrames, Math.floor(this.maxBytes / frameBytes)), 1);
+        
+        const first = this.simulation.participants[0];
+        if (first) {
+            this.visionAngle = first.visionAngle;
+            this.visionDistance = first.visionDistance;
+            this.bodySize = first.size;
+        }
+        
+        // The positions before the first step
+        this.recordFrame();
+    }
+    
+    /**
+     * Mark an event on the timeline (only while the steps are recorded)
+     * @param {Object} event - Simulation event
+     */
+    addMarker(event) {
+        if (this.truncated) return;
+        this.markers.push({ time: event.time, type: event.type, participantId: event.participantId });
+    }
+    
+    /**
+     * Store the current state of all participants
+     */
+    recordFrame() {
+        if (this.frames.length >= this.frameLimit) {
+            this.truncated = true;
+            return;
+        }
+        
+        const participants = this.simulation.participants;
+        const values = new Float32Array(participants.length * 4);
+        const states = new Uint8Array(participants.length);
+        const partners = new Int32Array(participants.length);
+        
+        for (let i = 0; i < participants.length; i++) {
+            const p = participants[i];
+            values[i * 4] = p.position.x;
+            values[i * 4 + 1] = p.position.y;
+            values[i * 4 + 2] = p.bodyDirection;
+            values[i * 4 + 3] = p.headDirection;
+            states[i] = RECORDED_STATES.indexOf(p.state);
+            partners[i] = p.eyeContactPartnerId === null ? -1 : p.eyeContactPartnerId;
+        }
+        
+        this.frames.push({ time: this.simulation.clock.now(), values, states, partners });
+    }
+    
+    /**
+     * Duration of the recording
+     * @returns {number} Time of the last recorded step in ms (0 when empty)
+     */
+    get duration() {
+        return this.frames.length > 0 ? this.frames[this.frames.length - 1].time : 0;
+    }
+    
+    /**
+     * Index of the last frame at or before a time (binary search)
+     * @param {number} time - Simulation time in ms
+     * @returns {number} Frame index (-1 when nothing is recorded)
+     */
+    frameIndexAt(time) {
+        let low = 0;
+        let high = this.frames.length - 1;
+        if (high < 0) return -1;
+        if (time <= this.frames[0].time) return 0;
+        
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (this.frames[middle].time <= time) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return low;
+    }
+    
+    /**
+     * Participants as they were at a time, shaped like Participant for drawing
+     * @param {number} time - Simulation time in ms
+     * @returns {Array<Object>} Plain participant snapshots (empty when nothing is recorded)
+     */
+    participantsAt(time) {
+        const index = this.frameIndexAt(time);
+        if (index === -1) return [];
+        
+        const frame = this.frames[index];
+        const snapshots = [];
+        for (let i = 0; i < this.participantCount; i++) {
+            const state = RECORDED_STATES[frame.states[i]];
+            const partnerId = frame.partners[i] === -1 ? null : frame.partners[i];
+            snapshots.push({
+                id: i,
+                position: { x: frame.values[i * 4], y: frame.values[i * 4 + 1] },
+                bodyDirection: frame.values[i * 4 + 2],
+                headDirection: frame.values[i * 4 + 3],
+                state,
+                eyeContactPartnerId: partnerId,
+                hasEyeContact: partnerId !== null,
+                isExcluded: state === ParticipantState.LEAVING || state === ParticipantState.AT_EDGE,
+                visionAngle: this.visionAngle,
+                visionDistance: this.visionDistance,
+                size: this.bodySize
+            });
+        }
+        return snapshots;
+    }
+}
+
+/**
+ * ReplayPlayer Class
+ * Playback position over a recording: play/pause, speed, seeking and
+ * jumping between markers (no drawing - see Renderer.drawReplay)
+ */
+class ReplayPlayer {
+    /**
+     * Constructor for a player, paused at the start of the recording
+     * @param {SessionRecorder} recorder - Recording to play
+     */
+    constructor(recorder) {
+        this.recorder = recorder;
+        this.time = 0;        // Playback position in simulation ms
+        this.isPlaying = false;
+        this.speed = 1;       // Simulation ms per wall-clock ms
+    }
+    
+    /**
+     * Start playing (from the start again when at the end)
+     */
+    play() {
+        if (this.time >= this.recorder.duration) this.time = 0;
+        this.isPlaying = true;
+    }
+    
+    /**
+     * Stop playing at the current position
+     */
+    pause() {
+        this.isPlaying = false;
+    }
+    
+    /**
+     * Move the playback position (stops at the end of the recording)
+     * @param {number} elapsed - Wall-clock time since the last frame in ms
+     */
+    advance(elapsed) {
+        if (!this.isPlaying) return;
+        this.seek(this.time + elapsed * this.speed);
+        if (this.time >= this.recorder.duration) this.pause();
+    }
+    
+    /**
+     * Jump to a time
+     * @param {number} time - Simulation time in ms (clamped to the recording)
+     */
+    seek(time) {
+        this.time = Math.max(0, Math.min(time, this.recorder.duration));
+    }
+    
+    /**
+     * Jump to the next marker after the playback position
+     * @returns {Object|null} The marker, or null if there is none
+     */
+    nextMarker() {
+        const marker = this.recorder.markers.find(m => m.time > this.time + 1) || null;
+        if (marker) this.seek(marker.time);
+        return marker;
+    }
+    
+    /**
+     * Jump to the last marker before the playback position
+     * @returns {Object|null} The marker, or null if there is none
+     */
+    previousMarker() {
+        const earlier = this.recorder.markers.filter(m => m.time < this.time - 1);
+        const marker = earlier.length > 0 ? earlier[earlier.length - 1] : null;
+        if (marker) this.seek(marker.time);
+        return marker;
+    }
+    
+    /**
+     * Participants at the playback position
+     * @returns {Array<Object>} Plain participant snapshots
+     */
+    participants() {
+        return this.recorder.participantsAt(this.time);
+    }
+}
+
+// Export for Node.js (in the browser these are globals)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SessionRecorder, ReplayPlayer, RECORDED_STATES };
+}
@@ -1,34 +1,82 @@
+// Node.js: load the modules the browser gets from <script> tags
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./vector.js'), require('./random.js'),
+        require('./clock.js'), require('./events.js'), require('./time-series.js'), require('./arena.js'), require('./obstacles.js'),
+        require('./spatial-grid.js'), require('./gaze-strategies.js'),
+        require('./movement-models.js'), require('./participant.js'));
+}
+
+// Event types written to the logger by Simulation.logEvent
+const LOGGED_EVENTS = ['entered', 'exclusionStarted', 'reachedEdge', 'reentered', 'gameOver'];
+
 /**
  * Simulation Class
  * Controls the main simulation logic for the theater exercise
+ * (no p5.js or DOM access, so it can also run headless in Node.js)
  */
 class Simulation {
     /**
      * Constructor for the simulation
      * @param {Object} settings - Initial settings for the simulation
+     *                            (squareSize, the old name of arenaSize, is still accepted)
+     * @param {Object} options - Optional { logger } (object with a log() method, defaults to console)
      */
-    constructor(settings) {
-        this.settings = settings || {
+    constructor(settings, options = {}) {
+        // Callers written before the arena shapes give the size of the square
+        if (settings && settings.squareSize !== undefined) {
+            const { squareSize, ...rest } = settings;
+            settings = Object.assign({ arenaSize: squareSize }, rest);
+        }
+        
+        // Given settings override the defaults
+        this.settings = Object.assign({
             participantCount: 10,
-            squareSize: 400,
+            arena: 'square', // Key of ARENA_SHAPES
+            arenaSize: 400, // Width (diameter for the circle) of the arena in px
+            arenaAspect: 1.6, // Width / height of the rectangle arena
+            arenaVertices: null, // Custom convex polygon as [[x, y], ...] (overrides arena)
+            obstacleLayout: 'none', // Key of OBSTACLE_LAYOUTS
+            obstacles: null, // Custom list of { type: 'circle' | 'rect', ... } (overrides obstacleLayout)
             timeoutDuration: 2, // seconds
             simulationSpeed: 0.6, // Reduced speed as requested
             visionAngle: 60, // Reduced angle as requested
-            headRotationSpeed: 2
-        };
+            headRotationSpeed: 2,
+            occlusion: false, // Bodies block the line of sight
+            collisions: false, // Bodies cannot overlap (off by default, as before the setting existed)
+            personalSpace: 0, // Gap in px walkers keep from other bodies (0 = no steering)
+            pairingMode: 'free', // 'free', or exclusive pairs: 'closest' / 'centered'
+            contactDwellTime: 0, // ms a mutual gaze must last before it counts
+            gazeStrategy: 'walk', // Key of GAZE_STRATEGIES, or 'mixed'
+            movementModel: 'bounce', // Key of MOVEMENT_MODELS
+            seed: null // null = pick a new random seed for every run
+        }, settings);
+        
+        // Seeded random source shared by every participant
+        this.seed = null;
+        this.rng = null;
+        
+        // Playing area and its obstacles, built from the settings for every run
+        this.arena = null;
+        this.obstacles = [];
+        
+        // Spatial index of participant positions, rebuilt every step
+        this.grid = null;
         
         this.participants = [];
         this.isRunning = false;
         this.isPaused = false;
         this.statistics = {
             totalEyeContacts: 0,
-            totalExits: 0
+            totalExits: 0,
+            stateCounts: {} // Participants per lifecycle state
         };
         
-        // Timestamp tracking for deltaTime calculation
-        this.lastUpdateTime = 0;
-        this.startTime = 0;
-        this.currentTime = 0;
+        // Simulation clock: fixed timestep, fed by wall-clock frame time
+        this.clock = new SimulationClock();
+        
+        // Group health over simulation time, for the live charts (see recordHistory)
+        this.history = new TimeSeries(['inside', 'movingToEdge', 'excluded',
+            'eyeContactsPerSecond', 'meanTimeSinceContact', 'eyeContacts']);
         
         // Force initial movement debug flag
         this.hasInitialUpdate = false;
@@ -36,7 +84,68 @@ class Simulation {
         // Game over state
         this.isGameOver = false;
         
-        console.log("Simulation initialized with settings:", this.settings);
+        // Object with a log() method - pass { log() {} } for quiet headless runs
+        this.logger = options.logger || console;
+        
+        // Structured events of the run (see EVENT_TYPES); subscriptions are kept
+        // across restarts, so the UI and tools subscribe once
+        this.events = new EventBus();
+        this.events.on('eyeContactStart', event => {
+            if (!event.switched) this.statistics.totalEyeContacts++;
+        });
+        this.events.on('exclusionStarted', () => this.statistics.totalExits++);
+        
+        // Only the event types that are written to the log, so the frequent
+        // eye contact events are not built when nobody else listens
+        for (let type of LOGGED_EVENTS) {
+            this.events.on(type, event => this.logEvent(event));
+        }
+        
+        this.logger.log("Simulation initialized with settings:", this.settings);
+    }
+    
+    /**
+     * Subscribe to simulation events
+     * @param {string} type - Event type (see EVENT_TYPES), or '*' for all events
+     * @param {Function} handler - Called with the event object
+     * @returns {Function} The handler (to pass to off() later)
+     */
+    on(type, handler) {
+        return this.events.on(type, handler);
+    }
+    
+    /**
+     * Unsubscribe from simulation events
+     * @param {string} type - Event type given to on()
+     * @param {Function} handler - Handler given to on()
+     */
+    off(type, handler) {
+        this.events.off(type, handler);
+    }
+    
+    /**
+     * Write the lifecycle events to the logger (eye contacts are too frequent)
+     * @param {Object} event - Simulation event
+     */
+    logEvent(event) {
+        const seconds = (event.time / 1000).toFixed(2);
+        switch (event.type) {
+            case 'entered':
+                this.logger.log(`[${seconds}s] Participant ${event.participantId} entered the arena`);
+                break;
+            case 'exclusionStarted':
+                this.logger.log(`[${seconds}s] Participant ${event.participantId} being excluded (timeout: ${this.settings.timeoutDuration}s)`);
+                break;
+            case 'reachedEdge':
+                this.logger.log(`[${seconds}s] Participant ${event.participantId} reached the edge`);
+                break;
+            case 'reentered':
+                this.logger.log(`[${seconds}s] Participant ${event.participantId} reentering after eye contact with ${event.partnerId}`);
+                break;
+            case 'gameOver':
+                this.logger.log(`[${seconds}s] GAME OVER: All participants are excluded`);
+                break;
+        }
     }
     
     /**
@@ -44,56 +153,59 @@ class Simulation {
      */
     initialize() {
         this.participants = [];
-        const halfSize = this.settings.squareSize / 2;
         
-        // Reset game over state
+        // Reset game over state and the event counters
         this.isGameOver = false;
+        this.statistics.totalEyeContacts = 0;
+        this.statistics.totalExits = 0;
+        
+        // Seed the random source so the run can be reproduced
+        const hasSeed = this.settings.seed !== null && this.settings.seed !== undefined;
+        this.seed = hasSeed ? this.settings.seed : SeededRandom.randomSeed();
+        this.rng = new SeededRandom(this.seed);
+        this.logger.log(`Simulation seed: ${this.seed}`);
+        
+        // Restart the simulation clock from zero
+        this.clock.reset();
+        this.history.clear();
+        
+        // Build the playing area
+        this.arena = createArena(this.settings);
+        this.obstacles = createObstacles(this.settings, this.arena);
         
-        // Reset the simulation start time
-        this.startTime = millis();
+        // Spatial index for vision checks (several cells per vision distance)
+        this.grid = new SpatialGrid(Math.max(this.arena.size * 0.8 / 8, 10));
         
-        // Calculate positions along the perimeter, evenly distributed
-        const perimeter = this.settings.squareSize * 4; // Total perimeter length
-        const spacing = perimeter / this.settings.participantCount; // Distance between participants
+        // Objects shared by all participants
+        const context = {
+            rng: this.rng,
+            clock: this.clock,
+            logger: this.logger,
+            events: this.events,
+            grid: this.grid,
+            participants: this.participants,
+            obstacles: this.obstacles
+        };
         
         for (let i = 0; i < this.settings.participantCount; i++) {
-            // Calculate position along perimeter (0 to perimeter)
-            const positionOnPerimeter = i * spacing;
-            
-            let x, y;
-            
-            // Convert perimeter position to x,y coordinates on the edge
-            if (positionOnPerimeter < this.settings.squareSize) {
-                // Top edge (left to right)
-                x = positionOnPerimeter - halfSize;
-                y = -halfSize - 5; // Place slightly outside the square
-            } else if (positionOnPerimeter < this.settings.squareSize * 2) {
-                // Right edge (top to bottom)
-                x = halfSize + 5; // Slightly outside
-                y = (positionOnPerimeter - this.settings.squareSize) - halfSize;
-            } else if (positionOnPerimeter < this.settings.squareSize * 3) {
-                // Bottom edge (right to left)
-                x = halfSize - (positionOnPerimeter - this.settings.squareSize * 2);
-                y = halfSize + 5; // Slightly outside
-            } else {
-                // Left edge (bottom to top)
-                x = -halfSize - 5; // Slightly outside
-                y = halfSize - (positionOnPerimeter - this.settings.squareSize * 3);
-            }
+            // Evenly distributed along the perimeter, slightly outside the arena
+            const spawn = this.arena.spawnPoint(i / this.settings.participantCount, 5);
+            const x = spawn.x;
+            const y = spawn.y;
             
-            // Create the participant with initial movement enabled
+            // Create the participant (it starts outside, in the entering state)
             const participant = new Participant(
-                i, x, y, this.settings.squareSize, this.settings
+                i, x, y, this.arena, this.settings, context
             );
             
-            // Set initial state - outside but ready to move in
-            participant.isInside = false;
-            participant.isExcluded = false;
+            // Walking and head behaviour inside the arena
+            participant.movementModel = createMovementModel(this.settings.movementModel, this.settings);
+            participant.gazeStrategy = createGazeStrategy(this.settings.gazeStrategy, this.rng);
             
             // For initial movement: set velocity toward center
-            const toCenter = createVector(-x, -y);
+            const toCenter = new Vector2(-x, -y);
             toCenter.normalize();
-            toCenter.mult(random(1, 2) * this.settings.simulationSpeed); // Random speed toward center
+            toCenter.mult(this.rng.random(1, 2) * this.settings.simulationSpeed); // Random speed toward center
             participant.dx = toCenter.x;
             participant.dy = toCenter.y;
             participant.velocity.set(toCenter.x, toCenter.y);
@@ -104,15 +216,27 @@ class Simulation {
             participant.headRotationTarget = toCenter.heading();
             
             // Reset timing for a clean start
-            participant.lastEyeContactTime = millis();
-            participant.lastStatusChangeTime = millis();
+            participant.lastEyeContactTime = this.clock.now();
+            participant.lastStatusChangeTime = this.clock.now();
             
             this.participants.push(participant);
-            console.log(`Participant ${i} placed at edge: (${x}, ${y}) with inward velocity (${participant.dx}, ${participant.dy})`);
+            this.logger.log(`Participant ${i} placed at edge: (${x}, ${y}) with inward velocity (${participant.dx}, ${participant.dy})`);
         }
         
         this.updateStatistics();
         this.hasInitialUpdate = false;
+        
+        // Tell subscribers (e.g. the event log) that a new run begins
+        this.events.emit({
+            type: 'runStarted',
+            time: this.clock.now(),
+            participantId: null,
+            position: null,
+            partnerId: null,
+            partnerPosition: null,
+            seed: this.seed,
+            settings: { ...this.settings }
+        });
     }
     
     /**
@@ -120,15 +244,11 @@ class Simulation {
      */
     doInitialUpdate() {
         if (!this.hasInitialUpdate) {
-            console.log("Performing initial update to ensure movement");
-            
-            // Do a short update to initialize movement
-            const currentTime = millis();
-            this.lastUpdateTime = currentTime;
+            this.logger.log("Performing initial update to ensure movement");
             
             // Log initial positions for debugging
             for (let p of this.participants) {
-                console.log(`Initial - Participant ${p.id}: pos=(${p.position.x}, ${p.position.y}), vel=(${p.dx}, ${p.dy}), excluded=${p.isExcluded}`);
+                this.logger.log(`Initial - Participant ${p.id}: pos=(${p.position.x}, ${p.position.y}), vel=(${p.dx}, ${p.dy}), excluded=${p.isExcluded}`);
             }
             
             this.hasInitialUpdate = true;
@@ -142,7 +262,7 @@ class Simulation {
         if (!this.isRunning) {
             this.initialize();
             this.isRunning = true;
-            this.startTime = millis();
+            this.isPaused = false; // A run stopped while paused starts again unpaused
         }
     }
     
@@ -165,31 +285,86 @@ class Simulation {
      */
     resume() {
         this.isPaused = false;
-        this.lastUpdateTime = millis(); // Reset timing to avoid huge deltaTime
     }
     
     /**
-     * Update the simulation state
+     * Update the simulation state for one rendered frame
+     * @param {number} elapsed - Wall-clock time since the last frame in ms (p5's deltaTime)
      */
-    update() {
+    update(elapsed) {
         if (!this.isRunning || this.isPaused) return;
         
         // Force initial movement
         this.doInitialUpdate();
         
-        // Calculate delta time since last update (in seconds)
-        const currentTime = millis();
-        const deltaTime = (currentTime - this.lastUpdateTime) / 1000;
-        this.lastUpdateTime = currentTime;
-        this.currentTime = currentTime;
+        // Feed the wall-clock frame time to the simulation clock
+        const steps = this.clock.advance(elapsed);
+        
+        // Run the fixed steps that are due (none while the frame is too short)
+        for (let i = 0; i < steps && !this.isGameOver; i++) {
+            this.step();
+        }
+        
+        // Update statistics
+        this.updateStatistics();
+        this.recordHistory();
+    }
+    
+    /**
+     * Run the simulation without rendering (headless use)
+     * @param {number} duration - Simulation time to run in ms
+     * @returns {boolean} True if the run ended in a game over
+     */
+    runFor(duration) {
+        if (!this.isRunning) this.start();
         
-        // Skip invalid deltaTime values (e.g., on first update)
-        if (deltaTime <= 0 || deltaTime > 1) return;
+        this.doInitialUpdate();
+        const endTime = this.clock.now() + duration;
+        while (this.clock.now() < endTime && !this.isGameOver) {
+            this.step();
+            this.recordHistory();
+        }
+        this.updateStatistics();
+        
+        return this.isGameOver;
+    }
+    
+    /**
+     * Advance the simulation by one fixed timestep
+     */
+    step() {
+        const deltaTime = this.clock.step();
+        
+        // Index the current positions for the vision checks of this step
+        this.grid.rebuild(this.participants);
+        
+        // Exclusive mode: one partner per participant, resolved for everyone at once
+        if (this.settings.pairingMode !== 'free') {
+            this.resolveExclusivePairs();
+        }
         
         // Update all participants
         for (let p of this.participants) {
             // Normal update with exclusion enabled from the start
-            p.update(this.participants, this.settings.squareSize, this.settings, deltaTime, false);
+            p.update(this.participants, this.arena, this.settings, deltaTime, false);
+        }
+        
+        // Push overlapping bodies apart
+        if (this.settings.collisions) {
+            this.resolveCollisions();
+        }
+        
+        // Subscribers that follow every step (e.g. the session recorder)
+        if (this.events.hasListeners('step')) {
+            this.events.emit({
+                type: 'step',
+                time: this.clock.now(),
+                participantId: null,
+                position: null,
+                partnerId: null,
+                partnerPosition: null,
+                stepCount: this.clock.stepCount
+            });
         }
         
         // Check if all participants are excluded (game over condition)
@@ -206,102 +381,171 @@ class Simulation {
                 this.gameOver();
             }
         }
-        
-        // Update statistics
-        this.updateStatistics();
     }
     
     /**
-     * Handle game over state
+     * Separate overlapping bodies of the participants in the arena.
+     * Participants waiting at the edge do not move (they are on the boundary),
+     * and participants still walking in from outside are not in the way yet.
      */
-    gameOver() {
-        console.log("GAME OVER: All participants are excluded");
-        this.isGameOver = true;
-        this.pause();
+    resolveCollisions() {
+        const isMovable = p => p.isInside;
+        const isBody = p => p.state !== ParticipantState.ENTERING;
         
-        // Create and display the game over message
-        this.displayGameOverMessage();
+        // A few relaxation passes, since one push can create a new overlap
+        for (let pass = 0; pass < 2; pass++) {
+            for (let a of this.participants) {
+                if (!isMovable(a)) continue;
+                
+                this.grid.forEachInCircle(a.position.x, a.position.y, a.size, b => {
+                    if (b === a || !isBody(b)) return false;
+                    // Pairs of movable bodies are handled once, from the lower id
+                    const bMovable = isMovable(b);
+                    if (bMovable && b.id < a.id) return false;
+                    
+                    let dx = a.position.x - b.position.x;
+                    let dy = a.position.y - b.position.y;
+                    let distance = Math.sqrt(dx * dx + dy * dy);
+                    const minDistance = (a.size + b.size) / 2;
+                    if (distance >= minDistance) return false;
+                    
+                    // Same spot: separate along x, lower id to the left
+                    if (distance === 0) {
+                        dx = a.id < b.id ? -1 : 1;
+                        dy = 0;
+                        distance = 1;
+                    }
+                    
+                    // Movable pairs share the push, a fixed body does not move
+                    const overlap = minDistance - distance;
+                    const share = bMovable ? overlap / 2 : overlap;
+                    a.position.x += dx / distance * share;
+                    a.position.y += dy / distance * share;
+                    if (bMovable) {
+                        b.position.x -= dx / distance * share;
+                        b.position.y -= dy / distance * share;
+                    }
+                    return false;
+                });
+            }
+        }
+        
+        // Pushes must not move anybody out of the arena or into an obstacle
+        for (let p of this.participants) {
+            if (!isMovable(p)) continue;
+            this.arena.clamp(p.position);
+            for (let obstacle of this.obstacles) {
+                obstacle.pushOut(p.position, p.size / 2);
+            }
+        }
+    }
+    
+    /**
+     * Check if two participants may hold each other's gaze
+     * @param {Participant} a - First participant
+     * @param {Participant} b - Second participant
+     * @returns {boolean} True for two active participants, or an excluded
+     *                    participant at the edge and one inside the arena
+     */
+    canPair(a, b) {
+        if (a.isMovingToEdge || b.isMovingToEdge) return false;
+        if (a.isExcluded && b.isExcluded) return false;
+        if (a.isExcluded) return b.isInside;
+        if (b.isExcluded) return a.isInside;
+        return true;
     }
     
     /**
-     * Display game over message and restart option
+     * Pair participants one-to-one for this step: every mutually visible pair
+     * is a candidate, and the best pairs (closest or most centred in both
+     * vision cones) are taken first
      */
-    displayGameOverMessage() {
-        // Remove existing message if there is one
-        const existingMessage = document.getElementById('gameOverMessage');
-        if (existingMessage) {
-            document.body.removeChild(existingMessage);
+    resolveExclusivePairs() {
+        const candidates = [];
+        const dwell = this.settings.contactDwellTime > 0;
+        
+        // Each mutual pair is found from both sides, keep it once (lower id first)
+        for (let a of this.participants) {
+            if (a.isMovingToEdge) continue;
+            
+            a.forEachNearby(this.participants, b => {
+                if (b.id <= a.id || !this.canPair(a, b)) return false;
+                if (a.canSee(b) && b.canSee(a)) {
+                    const holding = dwell && a.acquiringPartner === b && b.acquiringPartner === a;
+                    candidates.push({ a, b, score: this.pairScore(a, b), holding: holding ? 1 : 0 });
+                }
+                return false;
+            });
         }
         
-        // Create container for the message
-        const gameOverDiv = document.createElement('div');
-        gameOverDiv.id = 'gameOverMessage';
-        gameOverDiv.style.position = 'absolute';
-        gameOverDiv.style.top = '50%';
-        gameOverDiv.style.left = '50%';
-        gameOverDiv.style.transform = 'translate(-50%, -50%)';
-        gameOverDiv.style.background = 'rgba(0, 0, 0, 0.85)';
-        gameOverDiv.style.color = 'white';
-        gameOverDiv.style.padding = '30px';
-        gameOverDiv.style.borderRadius = '10px';
-        gameOverDiv.style.maxWidth = '80%';
-        gameOverDiv.style.textAlign = 'center';
-        gameOverDiv.style.fontFamily = 'Arial, sans-serif';
-        gameOverDiv.style.zIndex = '1000';
-        gameOverDiv.style.boxShadow = '0 0 20px rgba(255, 0, 0, 0.5)';
-        
-        // Add close button (X)
-        const closeButton = document.createElement('div');
-        closeButton.textContent = '✕';
-        closeButton.style.position = 'absolute';
-        closeButton.style.top = '10px';
-        closeButton.style.right = '15px';
-        closeButton.style.cursor = 'pointer';
-        closeButton.style.fontSize = '20px';
-        closeButton.style.fontWeight = 'bold';
-        closeButton.style.color = '#aaa';
-        closeButton.addEventListener('mouseover', () => {
-            closeButton.style.color = 'white';
-        });
-        closeButton.addEventListener('mouseout', () => {
-            closeButton.style.color = '#aaa';
-        });
+        // Best score first, ids break ties so the result stays deterministic.
+        // With a dwell time, pairs already holding each other's gaze go first,
+        // otherwise a better pair could interrupt them before the gaze counts
+        candidates.sort((p, q) => (q.holding - p.holding) || p.score - q.score ||
+            p.a.id - q.a.id || p.b.id - q.b.id);
         
-        // Add event listener to close button
-        closeButton.addEventListener('click', () => {
-            document.body.removeChild(gameOverDiv);
-            this.restart();
-        });
+        const partners = new Map();
+        for (let { a, b } of candidates) {
+            if (partners.has(a) || partners.has(b)) continue;
+            partners.set(a, b);
+            partners.set(b, a);
+        }
         
-        // Add message
-        const message = document.createElement('p');
-        message.textContent = "Vous êtes morts car vous ne vous êtes pas soutenus par le regard. Un groupe, c'est un réseau de regards qui se maintiennent mutuellement en vie. En négligeant les autres, vous vous êtes éteints vous-mêmes.";
-        message.style.fontSize = '18px';
-        message.style.lineHeight = '1.5';
-        message.style.marginBottom = '20px';
-        
-        // Add restart button
-        const restartButton = document.createElement('button');
-        restartButton.textContent = 'Recommencer';
-        restartButton.style.padding = '10px 20px';
-        restartButton.style.fontSize = '16px';
-        restartButton.style.background = '#4CAF50';
-        restartButton.style.color = 'white';
-        restartButton.style.border = 'none';
-        restartButton.style.borderRadius = '5px';
-        restartButton.style.cursor = 'pointer';
-        
-        // Add event listener to restart
-        restartButton.addEventListener('click', () => {
-            document.body.removeChild(gameOverDiv);
-            this.restart();
-        });
+        // Same rules as free mode (see Participant.checkReentry): an excluded
+        // participant comes back in once the gaze of someone inside has been
+        // held long enough, and that gaze is an eye contact for neither of them.
+        // Only the excluded side holds it, and reenter() forgets it, so both
+        // sides of the next pair start their dwell at the same step
+        const excluded = new Set(this.participants.filter(p => p.isExcluded));
+        for (let p of this.participants) {
+            const partner = partners.get(p) || null;
+            
+            if (excluded.has(p)) {
+                if (p.holdGaze(partner)) {
+                    p.reenter(partner);
+                }
+            } else {
+                p.setEyeContact(excluded.has(partner) ? null : partner);
+            }
+        }
+    }
+    
+    /**
+     * Ranking of a candidate pair (lower is better)
+     * @param {Participant} a - First participant
+     * @param {Participant} b - Second participant
+     * @returns {number} Distance for 'closest', summed gaze offset angle for 'centered'
+     */
+    pairScore(a, b) {
+        const dx = b.position.x - a.position.x;
+        const dy = b.position.y - a.position.y;
         
-        // Assemble and add to DOM
-        gameOverDiv.appendChild(closeButton);
-        gameOverDiv.appendChild(message);
-        gameOverDiv.appendChild(restartButton);
-        document.body.appendChild(gameOverDiv);
+        if (this.settings.pairingMode === 'centered') {
+            const angle = Math.atan2(dy, dx);
+            return Math.abs(Vector2.wrapAngle(angle - a.headDirection)) +
+                Math.abs(Vector2.wrapAngle(angle + Math.PI - b.headDirection));
+        }
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+    
+    /**
+     * Handle game over state
+     */
+    gameOver() {
+        this.isGameOver = true;
+        this.pause();
+        
+        // Subscribers (e.g. the UI message) learn about it through the event
+        this.events.emit({
+            type: 'gameOver',
+            time: this.clock.now(),
+            participantId: null,
+            position: null,
+            partnerId: null,
+            partnerPosition: null,
+            totalEyeContacts: this.statistics.totalEyeContacts,
+            totalExits: this.statistics.totalExits
+        });
     }
     
     /**
@@ -318,33 +562,144 @@ class Simulation {
      * Update simulation statistics
      */
     updateStatistics() {
-        // Reset counters
-        this.statistics.totalEyeContacts = 0;
-        this.statistics.totalExits = 0;
+        // Eye contacts and exits are counted from the events as they happen
+        for (let state of Object.values(ParticipantState)) {
+            this.statistics.stateCounts[state] = 0;
+        }
         
-        // Count eye contacts and exits
         for (let p of this.participants) {
-            this.statistics.totalEyeContacts += p.eyeContactCount;
-            this.statistics.totalExits += p.exitCount;
+            this.statistics.stateCounts[p.state]++;
         }
     }
     
     /**
-     * Draw the simulation on the canvas
+     * Add a sample of the group health to the history (at most one per
+     * history interval): participants inside, moving to the edge and waiting
+     * at the edge, eye contacts per second over the last second, and the mean
+     * time since the last eye contact of the participants inside (in s)
      */
-    draw() {
-        const halfSize = this.settings.squareSize / 2;
+    recordHistory() {
+        const now = this.clock.now();
+        if (!this.history.isDue(now)) return;
         
-        // Draw the square boundary
-        stroke(0);
-        strokeWeight(2);
-        noFill();
-        rectMode(CENTER);
-        rect(0, 0, this.settings.squareSize, this.settings.squareSize);
-        
-        // Draw all participants
+        let inside = 0;
+        let movingToEdge = 0;
+        let excluded = 0;
+        let timeSinceContact = 0;
         for (let p of this.participants) {
-            p.draw(this.settings.squareSize);
+            if (p.state === ParticipantState.INSIDE || p.state === ParticipantState.REENTERING) {
+                inside++;
+                timeSinceContact += now - p.lastEyeContactTime;
+            } else if (p.state === ParticipantState.LEAVING) {
+                movingToEdge++;
+            } else if (p.state === ParticipantState.AT_EDGE) {
+                excluded++;
+            }
+        }
+        
+        // Rate from the oldest sample of the last second, or from the previous
+        // sample once a long run has thinned the samples more than a second apart
+        const eyeContacts = this.statistics.totalEyeContacts;
+        const first = Math.min(this.history.indexAt(now - 1000), this.history.length - 1);
+        let eyeContactsPerSecond = 0;
+        if (first >= 0 && now > this.history.times[first]) {
+            eyeContactsPerSecond = (eyeContacts - this.history.values.eyeContacts[first]) /
+                ((now - this.history.times[first]) / 1000);
+        }
+        
+        this.history.add(now, {
+            inside,
+            movingToEdge,
+            excluded,
+            eyeContactsPerSecond,
+            meanTimeSinceContact: inside > 0 ? timeSinceContact / inside / 1000 : 0,
+            eyeContacts
+        });
+    }
+    
+    /**
+     * Let a person steer a participant: the control's wanted direction moves
+     * the body inside the arena (ManualWalk) and its aimed point turns the
+     * head (ManualGaze, also while entering and at the edge). The caller
+     * keeps updating the control; exclusion and re-entry work as for
+     * everyone else.
+     * @param {number} participantId - Id of the participant to take over
+     * @param {Object} control - Input { moveX, moveY, lookX, lookY } (see ManualWalk and ManualGaze)
+     * @returns {Participant} The participant now steered by the control
+     * @throws {Error} If there is no such participant
+     */
+    takeControl(participantId, control) {
+        const participant = this.participants[participantId];
+        if (!participant) {
+            throw new Error(`Unknown participant ${participantId}`);
+        }
+        
+        if (!participant.control) {
+            participant.aiBehaviour = {
+                movementModel: participant.movementModel,
+                gazeStrategy: participant.gazeStrategy,
+                entryGaze: participant.entryGaze,
+                edgeGaze: participant.edgeGaze
+            };
         }
+        
+        const gaze = new ManualGaze(control);
+        participant.control = control;
+        participant.movementModel = new ManualWalk(this.settings, control);
+        participant.gazeStrategy = gaze;
+        participant.entryGaze = gaze;
+        participant.edgeGaze = gaze;
+        return participant;
     }
+    
+    /**
+     * Give a participant taken over with takeControl back to the AI
+     * @param {number} participantId - Id of the participant
+     */
+    releaseControl(participantId) {
+        const participant = this.participants[participantId];
+        if (!participant || !participant.control) return;
+        
+        Object.assign(participant, participant.aiBehaviour);
+        participant.control = null;
+        participant.aiBehaviour = null;
+        
+        // The AI walks on from here (a person may have left it standing)
+        if (participant.dx === 0 && participant.dy === 0 && participant.state === ParticipantState.INSIDE) {
+            participant.movementModel.setHeading(participant, participant.bodyDirection);
+            participant.velocity.set(participant.dx, participant.dy);
+        }
+    }
+    
+    /**
+     * Plain snapshot of the current state, e.g. for headless scripts
+     * @returns {Object} Time, game over flag, statistics and participant states
+     */
+    getState() {
+        return {
+            time: this.clock.now(),
+            seed: this.seed,
+            isGameOver: this.isGameOver,
+            statistics: { ...this.statistics, stateCounts: { ...this.statistics.stateCounts } },
+            participants: this.participants.map(p => ({
+                id: p.id,
+                x: p.position.x,
+                y: p.position.y,
+                bodyDirection: p.bodyDirection,
+                headDirection: p.headDirection,
+                state: p.state,
+                stateSince: p.stateSince,
+                isInside: p.isInside,
+                isExcluded: p.isExcluded,
+                isMovingToEdge: p.isMovingToEdge,
+                hasEyeContact: p.hasEyeContact,
+                eyeContactPartnerId: p.eyeContactPartnerId
+            }))
+        };
+    }
+}
+
+// Export for Node.js (in the browser the class is a global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Simulation };
 }
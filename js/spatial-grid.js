@@ -0,0 +1,140 @@
+// Node.js: load the modules the browser gets from <script> tags
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./vector.js'));
+}
+
+/**
+ * SpatialGrid Class
+ * Uniform grid over participant positions, so that vision checks only look
+ * at participants in nearby cells instead of the whole crowd
+ */
+class SpatialGrid {
+    /**
+     * Constructor for a new grid
+     * @param {number} cellSize - Width and height of a cell
+     */
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // Cell key -> array of participants (arrays are reused)
+        this.margin = 10; // Extra query radius: participants move after the rebuild
+    }
+    
+    /**
+     * Numeric key of a cell
+     * @param {number} cellX - Cell column
+     * @param {number} cellY - Cell row
+     * @returns {number} Key for the cells map
+     */
+    key(cellX, cellY) {
+        return (cellX + 1024) * 2048 + (cellY + 1024);
+    }
+    
+    /**
+     * Rebuild the grid from the current participant positions
+     * @param {Array} participants - All participants in the simulation
+     */
+    rebuild(participants) {
+        // Empty the cells but keep the arrays to avoid allocations every step
+        for (let cell of this.cells.values()) {
+            cell.length = 0;
+        }
+        
+        for (let p of participants) {
+            const key = this.key(Math.floor(p.position.x / this.cellSize),
+                Math.floor(p.position.y / this.cellSize));
+            let cell = this.cells.get(key);
+            if (!cell) {
+                cell = [];
+                this.cells.set(key, cell);
+            }
+            cell.push(p);
+        }
+    }
+    
+    /**
+     * Visit the participants in the cells that overlap a circle
+     * (callers still check the exact distance)
+     * @param {number} x - Circle center x
+     * @param {number} y - Circle center y
+     * @param {number} radius - Circle radius
+     * @param {Function} visit - Called with each participant, return true to stop early
+     * @returns {boolean} True if the visit was stopped early
+     */
+    forEachInCircle(x, y, radius, visit) {
+        return this.forEachInBox(x - radius, y - radius, x + radius, y + radius, visit);
+    }
+    
+    /**
+     * Visit the participants in the cells that overlap a vision cone
+     * (uses the bounding box of the cone, which is much smaller than the
+     * full circle for narrow vision angles)
+     * @param {number} x - Apex x
+     * @param {number} y - Apex y
+     * @param {number} radius - Length of the cone
+     * @param {number} direction - Cone axis in radians
+     * @param {number} halfAngle - Half opening angle in radians
+     * @param {Function} visit - Called with each participant, return true to stop early
+     * @returns {boolean} True if the visit was stopped early
+     */
+    forEachInCone(x, y, radius, direction, halfAngle, visit) {
+        // Bounding box of the apex and both ends of the arc
+        let minX = x, maxX = x, minY = y, maxY = y;
+        for (let side = -1; side <= 1; side += 2) {
+            const angle = direction + side * halfAngle;
+            const px = x + Math.cos(angle) * radius;
+            const py = y + Math.sin(angle) * radius;
+            minX = Math.min(minX, px);
+            maxX = Math.max(maxX, px);
+            minY = Math.min(minY, py);
+            maxY = Math.max(maxY, py);
+        }
+        
+        // The arc also reaches the circle's extreme points it sweeps over
+        // (right, bottom, left, top)
+        for (let quarter = 0; quarter < 4; quarter++) {
+            const axisAngle = quarter * Math.PI / 2;
+            if (Math.abs(Vector2.wrapAngle(axisAngle - direction)) <= halfAngle) {
+                if (quarter === 0) maxX = x + radius;
+                if (quarter === 1) maxY = y + radius;
+                if (quarter === 2) minX = x - radius;
+                if (quarter === 3) minY = y - radius;
+            }
+        }
+        
+        return this.forEachInBox(minX, minY, maxX, maxY, visit);
+    }
+    
+    /**
+     * Visit the participants in the cells that overlap a box
+     * (nothing is collected, so a visit that stops early costs little)
+     * @param {number} left - Smallest x
+     * @param {number} top - Smallest y
+     * @param {number} right - Largest x
+     * @param {number} bottom - Largest y
+     * @param {Function} visit - Called with each participant, return true to stop early
+     * @returns {boolean} True if the visit was stopped early
+     */
+    forEachInBox(left, top, right, bottom, visit) {
+        const minX = Math.floor((left - this.margin) / this.cellSize);
+        const maxX = Math.floor((right + this.margin) / this.cellSize);
+        const minY = Math.floor((top - this.margin) / this.cellSize);
+        const maxY = Math.floor((bottom + this.margin) / this.cellSize);
+        
+        for (let cellX = minX; cellX <= maxX; cellX++) {
+            for (let cellY = minY; cellY <= maxY; cellY++) {
+                const cell = this.cells.get(this.key(cellX, cellY));
+                if (!cell) continue;
+                for (let i = 0; i < cell.length; i++) {
+                    if (visit(cell[i])) return true;
+                }
+            }
+        }
+        
+        return false;
+    }
+}
+
+// Export for Node.js (in the browser the class is a global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SpatialGrid };
+}
@@ -1,15 +1,25 @@
 /**
  * Statistics Class
  * Handles gathering, calculating, and displaying statistics for the simulation
+ * (counts come from the simulation events, times from the simulation clock,
+ * so the panel stops with the simulation when it is paused)
  */
 class Statistics {
     /**
      * Constructor for statistics tracker
+     * @param {Simulation} simulation - Simulation to follow
      */
-    constructor() {
+    constructor(simulation) {
+        this.simulation = simulation;
+        
         // Initialize all statistics
         this.reset();
         
+        // Count contacts and exclusions as they happen
+        simulation.on('eyeContactStart', event => this.recordEyeContact(event));
+        simulation.on('exclusionStarted', () => this.totalExits++);
+        simulation.on('runStarted', () => this.reset());
+        
         // DOM element references for updating the UI
         this.insideCountElement = document.getElementById('inside-count');
         this.outsideCountElement = document.getElementById('outside-count');
@@ -32,38 +42,25 @@ class Statistics {
         this.totalEyeContacts = 0;
         this.totalExits = 0;
         this.unchangedLooks = 0;
+        this.lastPartners = new Map(); // Participant id -> partner of its last eye contact
         
-        this.startTime = millis();
         this.simulationTime = 0;
-        this.isRunning = false;
     }
     
     /**
-     * Start tracking simulation time
+     * Count a new eye contact, and whether it is with the same partner as
+     * the participant's previous one (an "unchanged look")
+     * @param {Object} event - The eyeContactStart event
      */
-    startTimer() {
-        this.startTime = millis();
-        this.isRunning = true;
-    }
-    
-    /**
-     * Pause the simulation timer
-     */
-    pauseTimer() {
-        if (this.isRunning) {
-            this.simulationTime += (millis() - this.startTime) / 1000;
-            this.isRunning = false;
+    recordEyeContact(event) {
+        // Going straight to another partner is not a new contact (see Participant.setEyeContact)
+        if (!event.switched) {
+            this.totalEyeContacts++;
         }
-    }
-    
-    /**
-     * Resume the simulation timer
-     */
-    resumeTimer() {
-        if (!this.isRunning) {
-            this.startTime = millis();
-            this.isRunning = true;
+        if (this.lastPartners.get(event.participantId) === event.partnerId) {
+            this.unchangedLooks++;
         }
+        this.lastPartners.set(event.participantId, event.partnerId);
     }
     
     /**
@@ -71,11 +68,7 @@ class Statistics {
      * @returns {number} Total simulation time in seconds
      */
     getCurrentTime() {
-        let currentTime = this.simulationTime;
-        if (this.isRunning) {
-            currentTime += (millis() - this.startTime) / 1000;
-        }
-        return currentTime;
+        return this.simulationTime;
     }
     
     /**
@@ -88,8 +81,6 @@ class Statistics {
         this.outsideCount = 0;
         this.totalInsideTime = 0;
         this.totalOutsideTime = 0;
-        this.totalEyeContacts = 0;
-        this.totalExits = 0;
         
         // Aggregate data from all participants
         for (let participant of participants) {
@@ -101,10 +92,10 @@ class Statistics {
             
             this.totalInsideTime += participant.totalTimeInside;
             this.totalOutsideTime += participant.totalTimeOutside;
-            this.totalEyeContacts += participant.eyeContactCount;
-            this.totalExits += participant.exitCount;
         }
         
+        this.simulationTime = this.simulation.clock.now() / 1000;
+        
         // Update the UI
         this.updateUI(participants.length);
     }
@@ -130,7 +121,7 @@ class Statistics {
         // Update additional statistics
         this.totalEyeContactsElement.textContent = this.totalEyeContacts;
         this.totalExitsElement.textContent = this.totalExits;
-        this.unchangedLooksElement.textContent = this.unchangedLooks; // This would need additional tracking
+        this.unchangedLooksElement.textContent = this.unchangedLooks;
         
         // Update simulation time
         let currentTime = this.getCurrentTime().toFixed(1);
@@ -0,0 +1,121 @@
+/**
+ * TimeSeries Class
+ * Named values sampled against simulation time, e.g. for live charts.
+ * Samples closer than the interval are skipped; when the series is full,
+ * every other sample is dropped and the interval doubles, so a long run
+ * always fits in maxSamples and stays visible from the start.
+ */
+class TimeSeries {
+    /**
+     * Constructor for an empty series
+     * @param {Array<string>} names - Names of the sampled values
+     * @param {Object} options - Optional { interval (ms between samples, default 100),
+     *                           maxSamples (default 3000) }
+     */
+    constructor(names, options = {}) {
+        this.names = names.slice();
+        this.baseInterval = options.interval || 100;
+        this.maxSamples = options.maxSamples || 3000;
+        this.clear();
+    }
+    
+    /**
+     * Remove all samples
+     */
+    clear() {
+        this.interval = this.baseInterval;
+        this.times = [];
+        this.values = {};
+        for (let name of this.names) {
+            this.values[name] = [];
+        }
+    }
+    
+    /**
+     * Number of samples
+     * @returns {number} Sample count
+     */
+    get length() {
+        return this.times.length;
+    }
+    
+    /**
+     * Check if a sample at this time would be kept
+     * @param {number} time - Simulation time in ms
+     * @returns {boolean} True if the last sample is at least one interval older
+     */
+    isDue(time) {
+        return this.times.length === 0 || time - this.times[this.times.length - 1] >= this.interval;
+    }
+    
+    /**
+     * Add a sample (skipped if the last one is less than an interval older)
+     * @param {number} time - Simulation time in ms
+     * @param {Object} values - Value per name
+     * @returns {boolean} True if the sample was added
+     */
+    add(time, values) {
+        if (!this.isDue(time)) return false;
+        
+        this.times.push(time);
+        for (let name of this.names) {
+            this.values[name].push(values[name]);
+        }
+        
+        if (this.times.length > this.maxSamples) {
+            this.thin();
+        }
+        return true;
+    }
+    
+    /**
+     * Keep every other sample and double the interval
+     */
+    thin() {
+        const keep = (value, index) => index % 2 === 0;
+        this.times = this.times.filter(keep);
+        for (let name of this.names) {
+            this.values[name] = this.values[name].filter(keep);
+        }
+        this.interval *= 2;
+    }
+    
+    /**
+     * Index of the first sample at or after a time (binary search)
+     * @param {number} time - Simulation time in ms
+     * @returns {number} Sample index (length when all samples are older)
+     */
+    indexAt(time) {
+        let low = 0;
+        let high = this.times.length;
+        while (low < high) {
+            const middle = Math.floor((low + high) / 2);
+            if (this.times[middle] < time) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+    
+    /**
+     * Largest value of some series, e.g. to scale a chart
+     * @param {Array<string>} names - Series to look at
+     * @returns {number} Largest value (0 when empty)
+     */
+    max(names) {
+        let largest = 0;
+        for (let name of names) {
+            for (let value of this.values[name]) {
+                if (value > largest) largest = value;
+            }
+        }
+        return largest;
+    }
+}
+
+// Export for Node.js (in the browser the class is a global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TimeSeries };
+}
@@ -0,0 +1,119 @@
+/**
+ * Vector2 Class
+ * Minimal 2D vector used by the simulation core instead of p5.Vector,
+ * so the core can run without p5 (e.g. headless in Node.js)
+ */
+class Vector2 {
+    /**
+     * Constructor for a new vector
+     * @param {number} x - x component
+     * @param {number} y - y component
+     */
+    constructor(x = 0, y = 0) {
+        this.x = x;
+        this.y = y;
+    }
+    
+    /**
+     * Set both components
+     * @param {number} x - x component
+     * @param {number} y - y component
+     * @returns {Vector2} This vector
+     */
+    set(x, y) {
+        this.x = x;
+        this.y = y;
+        return this;
+    }
+    
+    /**
+     * Copy of this vector
+     * @returns {Vector2} A new vector with the same components
+     */
+    copy() {
+        return new Vector2(this.x, this.y);
+    }
+    
+    /**
+     * Add another vector to this one
+     * @param {Vector2} other - Vector to add
+     * @returns {Vector2} This vector
+     */
+    add(other) {
+        this.x += other.x;
+        this.y += other.y;
+        return this;
+    }
+    
+    /**
+     * Multiply by a scalar
+     * @param {number} factor - Scale factor
+     * @returns {Vector2} This vector
+     */
+    mult(factor) {
+        this.x *= factor;
+        this.y *= factor;
+        return this;
+    }
+    
+    /**
+     * Length of the vector
+     * @returns {number} Magnitude
+     */
+    mag() {
+        return Math.sqrt(this.x * this.x + this.y * this.y);
+    }
+    
+    /**
+     * Scale to a length of 1 (a zero vector stays zero)
+     * @returns {Vector2} This vector
+     */
+    normalize() {
+        const length = this.mag();
+        if (length > 0) this.mult(1 / length);
+        return this;
+    }
+    
+    /**
+     * Scale to a given length
+     * @param {number} length - New magnitude
+     * @returns {Vector2} This vector
+     */
+    setMag(length) {
+        return this.normalize().mult(length);
+    }
+    
+    /**
+     * Angle of the vector
+     * @returns {number} Heading in radians
+     */
+    heading() {
+        return Math.atan2(this.y, this.x);
+    }
+    
+    /**
+     * Difference of two vectors
+     * @param {Vector2} a - First vector
+     * @param {Vector2} b - Second vector
+     * @returns {Vector2} A new vector a - b
+     */
+    static sub(a, b) {
+        return new Vector2(a.x - b.x, a.y - b.y);
+    }
+    
+    /**
+     * Wrap an angle to the range -PI..PI
+     * @param {number} angle - Angle in radians
+     * @returns {number} The equivalent angle between -PI and PI
+     */
+    static wrapAngle(angle) {
+        while (angle > Math.PI) angle -= Math.PI * 2;
+        while (angle < -Math.PI) angle += Math.PI * 2;
+        return angle;
+    }
+}
+
+// Export for Node.js (in the browser the class is a global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Vector2 };
+}
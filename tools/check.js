@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+/**
+ * Game of Sight - Headless rule checks
+ * Runs seeded simulations and checks rules of the exercise that a change
+ * could silently break. Prints one line per check and exits with 1 when
+ * one fails.
+ *
+ * Usage:
+ *   node tools/check.js [--runs N] [--max-time S]
+ *
+ * --runs      Seeded runs per check and pairing mode (default 5)
+ * --max-time  Simulation time limit of each run in seconds (default 60)
+ *
+ * Checks:
+ *   reentryDwell    A participant back from the edge still holds a gaze for
+ *                   contactDwellTime before its first eye contact
+ *   exclusivePairs  With exclusive pairing, contacts are one-to-one at every
+ *                   step: a's partner is b exactly when b's partner is a
+ */
+const fs = require('fs');
+const path = require('path');
+const { Simulation } = require(path.join(__dirname, '..', 'js', 'simulation.js'));
+const { parseOption } = require('./sweep.js');
+
+// Pairing modes every check runs with
+const PAIRING_MODES = ['free', 'closest', 'centered'];
+
+// Dwell time of the checked runs in ms
+const DWELL_TIME = 500;
+
+// Logger that discards the simulation's debug messages
+const QUIET_LOGGER = { log() {} };
+
+/**
+ * A re-entered participant's first eye contact comes after a full dwell
+ * @param {Simulation} simulation - Simulation about to start
+ * @returns {Function} Called after the run, returns { checked, failures }
+ */
+function checkReentryDwell(simulation) {
+    const reenteredAt = new Map(); // Participant id -> time of re-entry, until its next contact
+    const failures = [];
+    let checked = 0;
+    
+    simulation.on('reentered', event => reenteredAt.set(event.participantId, event.time));
+    simulation.on('eyeContactStart', event => {
+        if (!reenteredAt.has(event.participantId)) return;
+        
+        const waited = event.time - reenteredAt.get(event.participantId);
+        reenteredAt.delete(event.participantId);
+        checked++;
+        if (waited < DWELL_TIME) {
+            failures.push(`participant ${event.participantId} made a contact ${waited.toFixed(0)} ms after re-entering`);
+        }
+    });
+    
+    return () => ({ checked, failures });
+}
+
+/**
+ * With exclusive pairing, every eye contact partner has us as its partner
+ * @param {Simulation} simulation - Simulation about to start
+ * @returns {Function} Called after the run, returns { checked, failures }
+ */
+function checkExclusivePairs(simulation) {
+    const failures = [];
+    let checked = 0;
+    if (simulation.settings.pairingMode === 'free') {
+        return () => ({ checked, failures });
+    }
+    
+    simulation.on('step', () => {
+        const participants = simulation.participants;
+        for (let p of participants) {
+            if (p.eyeContactPartnerId === null) continue;
+            
+            checked++;
+            const partner = participants[p.eyeContactPartnerId];
+            if (partner.eyeContactPartnerId !== p.id) {
+                failures.push(`at ${simulation.clock.now().toFixed(0)} ms participant ${p.id} (${p.state}) ` +
+                    `has partner ${partner.id}, whose partner is ${partner.eyeContactPartnerId}`);
+            }
+        }
+    });
+    
+    return () => ({ checked, failures });
+}
+
+// Checks by name: each one subscribes to a simulation before the run
+const CHECKS = {
+    reentryDwell: checkReentryDwell,
+    exclusivePairs: checkExclusivePairs
+};
+
+/**
+ * Run one check over seeded runs in every pairing mode
+ * @param {Function} check - One of CHECKS
+ * @param {Object} options - { runs, maxTime }
+ * @returns {Object} { checked, failures } summed over the runs
+ */
+function runCheck(check, options) {
+    const total = { checked: 0, failures: [] };
+    for (let pairingMode of PAIRING_MODES) {
+        for (let seed = 1; seed <= options.runs; seed++) {
+            const simulation = new Simulation({ pairingMode, contactDwellTime: DWELL_TIME, seed },
+                { logger: QUIET_LOGGER });
+            const finish = check(simulation);
+            simulation.start();
+            
+            const endTime = options.maxTime * 1000;
+            while (simulation.clock.now() < endTime && !simulation.isGameOver) {
+                simulation.step();
+            }
+            
+            const result = finish();
+            total.checked += result.checked;
+            for (let failure of result.failures) {
+                total.failures.push(`${pairingMode}, seed ${seed}: ${failure}`);
+            }
+        }
+    }
+    return total;
+}
+
+/**
+ * Parse the command-line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { runs, maxTime, help }
+ */
+function parseArgs(argv) {
+    const options = { runs: 5, maxTime: 60 };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = argv[i + 1];
+        
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+            continue;
+        }
+        if (!arg.startsWith('--') || value === undefined) {
+            throw new Error(`Unexpected argument "${arg}"`);
+        }
+        i++;
+        
+        if (arg === '--runs') {
+            options.runs = parseOption(arg, value, { integer: true });
+        } else if (arg === '--max-time') {
+            options.maxTime = parseOption(arg, value);
+        } else {
+            throw new Error(`Unknown option "${arg}"`);
+        }
+    }
+    
+    return options;
+}
+
+/**
+ * Command-line entry point
+ */
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+    
+    if (options.help) {
+        // Print the usage block from the top of this file
+        const source = fs.readFileSync(__filename, 'utf8');
+        console.log(source.split('*/')[0].replace(/^#!.*\n/, '').replace(/^\s*\/?\*+ ?/gm, ''));
+        return;
+    }
+    
+    let failed = false;
+    for (let name of Object.keys(CHECKS)) {
+        const result = runCheck(CHECKS[name], options);
+        if (result.failures.length > 0) {
+            failed = true;
+            console.log(`FAIL ${name}: ${result.failures.length} of ${result.checked} cases`);
+            for (let failure of result.failures) {
+                console.log(`  ${failure}`);
+            }
+        } else {
+            console.log(`ok   ${name} (${result.checked} cases)`);
+        }
+    }
+    
+    if (failed) {
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { CHECKS, runCheck };
@@ -0,0 +1,497 @@
+#!/usr/bin/env node
+/**
+ * Game of Sight - Multiplayer server
+ * Runs the authoritative simulation and lets browsers play it together over
+ * a WebSocket: each player steers one participant (keyboard and mouse, as in
+ * the single-player mode), the AI plays the others. The simulation runs
+ * continuously; after a game over a new run starts with the same players.
+ * The server also serves the page, so players open http://HOST:PORT/ and
+ * click "Rejoindre".
+ *
+ * Usage:
+ *   node tools/server.js [--port N] [--host H] [--rate N] [--restart-delay S] [--setting value ...]
+ *
+ * --port           HTTP and WebSocket port (default 8080, WebSocket path /game)
+ * --host           Address to listen on (default localhost; 0.0.0.0 for every interface)
+ * --rate           Snapshots sent per second (default 20)
+ * --restart-delay  Seconds between a game over and the next run (default 5)
+ * Any simulation setting can be given, e.g. --participantCount 12 --arena circle
+ * (defaults are the simulation defaults). There is one participant per player
+ * at most, so participantCount is also the maximum number of players.
+ *
+ * Example:
+ *   node tools/server.js --port 8080 --host 0.0.0.0 --participantCount 12 --timeoutDuration 3
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { Simulation } = require(path.join(__dirname, '..', 'js', 'simulation.js'));
+const { encodeSnapshot } = require(path.join(__dirname, '..', 'js', 'multiplayer.js'));
+const { acceptWebSocket, CLOSE_CODES } = require('./websocket.js');
+const { parseOption, SETTING_RULES, CHOICE_NAMES } = require('./sweep.js');
+
+// Files served to the browsers: the page and its scripts and styles only,
+// not the rest of the repository (.git, tools, ...)
+const STATIC_ROOT = path.join(__dirname, '..');
+const STATIC_FILES = ['index.html'];
+const STATIC_DIRECTORIES = ['css', 'js'];
+
+// Content types of the served files
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+// Accepted names of the settings given as a name
+const SETTING_CHOICES = Object.assign({ pairingMode: ['free', 'closest', 'centered'] }, CHOICE_NAMES);
+
+// Simulation steps are fed from this wall-clock tick
+const TICK_INTERVAL = 1000 / 60;
+
+// Longest player name kept
+const MAX_NAME_LENGTH = 24;
+
+/**
+ * GameServer Class
+ * The shared game: the simulation, the connected clients and which
+ * participant each one steers. Independent of http, so it can be driven
+ * by any WebSocket-like connection (send, close, 'message' and 'close' events).
+ */
+class GameServer {
+    /**
+     * Constructor for a game with the given settings
+     * @param {Object} settings - Simulation settings (missing ones take the defaults)
+     * @param {Object} options - Optional { rate (snapshots/s, default 20),
+     *                           restartDelay (ms, default 5000), logger (default console) }
+     */
+    constructor(settings, options = {}) {
+        this.rate = options.rate || 20;
+        this.restartDelay = options.restartDelay !== undefined ? options.restartDelay : 5000;
+        this.logger = options.logger || console;
+        this.simulation = new Simulation(settings, { logger: { log() {} } });
+        this.clients = new Set();
+        this.timers = [];
+        this.restartTimer = null; // Pending restart after a game over
+        
+        this.simulation.on('runStarted', event => this.runStarted(event));
+        this.simulation.on('gameOver', event => this.gameOver(event));
+    }
+    
+    /**
+     * Start the first run and the tick and snapshot timers
+     */
+    start() {
+        this.simulation.start();
+        let lastTick = Date.now();
+        this.timers.push(setInterval(() => {
+            const now = Date.now();
+            this.simulation.update(now - lastTick);
+            lastTick = now;
+        }, TICK_INTERVAL));
+        this.timers.push(setInterval(() => {
+            if (this.clients.size > 0) {
+                this.broadcast(encodeSnapshot(this.simulation));
+            }
+        }, 1000 / this.rate));
+    }
+    
+    /**
+     * Stop the timers and close every connection
+     */
+    stop() {
+        for (let timer of this.timers) {
+            clearInterval(timer);
+        }
+        this.timers = [];
+        clearTimeout(this.restartTimer);
+        this.restartTimer = null;
+        for (let client of this.clients) {
+            client.connection.close(CLOSE_CODES.goingAway, 'Server stopping');
+        }
+    }
+    
+    /**
+     * Description of the current run, for the clients to rebuild the arena
+     * @returns {Object} The 'run' message
+     */
+    runMessage() {
+        const simulation = this.simulation;
+        const participant = simulation.participants[0];
+        return {
+            type: 'run',
+            seed: simulation.seed,
+            settings: simulation.settings,
+            visionDistance: participant ? participant.visionDistance : simulation.arena.size * 0.8,
+            bodySize: participant ? participant.size : 10
+        };
+    }
+    
+    /**
+     * Send a message to every client that joined
+     * @param {Object} message - Message object
+     */
+    broadcast(message) {
+        const text = JSON.stringify(message);
+        for (let client of this.clients) {
+            if (client.participantId !== null) {
+                client.connection.send(text);
+            }
+        }
+    }
+    
+    /**
+     * Accept a new connection (it plays once it sends 'join')
+     * @param {Object} connection - WebSocket connection
+     */
+    addClient(connection) {
+        const client = {
+            connection,
+            participantId: null,
+            name: null,
+            control: { moveX: 0, moveY: 0, lookX: null, lookY: null }
+        };
+        this.clients.add(client);
+        
+        connection.on('message', data => this.handleMessage(client, data));
+        connection.on('close', () => this.removeClient(client));
+    }
+    
+    /**
+     * React to a message of a client
+     * @param {Object} client - The sending client
+     * @param {string|Buffer} data - Raw message
+     */
+    handleMessage(client, data) {
+        let message;
+        try {
+            message = JSON.parse(String(data));
+        } catch (error) {
+            client.connection.send(JSON.stringify({ type: 'error', message: 'Invalid JSON' }));
+            return;
+        }
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            client.connection.send(JSON.stringify({ type: 'error', message: 'Expected a JSON object' }));
+            return;
+        }
+        
+        if (message.type === 'join') {
+            this.join(client, message.name);
+        } else if (message.type === 'input') {
+            if (client.participantId !== null) {
+                this.readInput(client.control, message);
+            }
+        } else {
+            client.connection.send(JSON.stringify({ type: 'error', message: `Unknown message type "${message.type}"` }));
+        }
+    }
+    
+    /**
+     * Give a client the first participant no one plays
+     * @param {Object} client - The joining client
+     * @param {string} name - Name chosen by the player
+     */
+    join(client, name) {
+        if (client.participantId !== null) return;
+        
+        const taken = new Set();
+        for (let other of this.clients) {
+            if (other.participantId !== null) taken.add(other.participantId);
+        }
+        let participantId = null;
+        for (let id = 0; id < this.simulation.participants.length; id++) {
+            if (!taken.has(id)) {
+                participantId = id;
+                break;
+            }
+        }
+        if (participantId === null) {
+            client.connection.send(JSON.stringify({ type: 'full' }));
+            client.connection.close(CLOSE_CODES.normal, 'Game full');
+            return;
+        }
+        
+        client.participantId = participantId;
+        client.name = String(name || '').trim().slice(0, MAX_NAME_LENGTH) || `Joueur ${participantId}`;
+        this.simulation.takeControl(participantId, client.control);
+        
+        client.connection.send(JSON.stringify({
+            type: 'welcome',
+            participantId,
+            rate: this.rate,
+            run: this.runMessage()
+        }));
+        this.broadcastPlayers();
+        this.logger.log(`${client.name} joined as participant ${participantId}`);
+    }
+    
+    /**
+     * Forget a client that left; the AI takes its participant back
+     * @param {Object} client - The leaving client
+     */
+    removeClient(client) {
+        if (!this.clients.delete(client) || client.participantId === null) return;
+        
+        this.simulation.releaseControl(client.participantId);
+        this.broadcastPlayers();
+        this.logger.log(`${client.name} left (participant ${client.participantId})`);
+    }
+    
+    /**
+     * Copy a client's input into its control, keeping only valid numbers
+     * @param {Object} control - Control of the client's participant
+     * @param {Object} message - The 'input' message
+     */
+    readInput(control, message) {
+        const clamp = (value, limit) => Math.max(-limit, Math.min(limit, value));
+        const number = value => typeof value === 'number' && isFinite(value);
+        const reach = this.simulation.arena.size * 2;
+        
+        control.moveX = number(message.moveX) ? clamp(message.moveX, 1) : 0;
+        control.moveY = number(message.moveY) ? clamp(message.moveY, 1) : 0;
+        if (number(message.lookX) && number(message.lookY)) {
+            control.lookX = clamp(message.lookX, reach);
+            control.lookY = clamp(message.lookY, reach);
+        } else {
+            control.lookX = null;
+            control.lookY = null;
+        }
+    }
+    
+    /**
+     * Tell everyone who plays which participant
+     */
+    broadcastPlayers() {
+        const players = [];
+        for (let client of this.clients) {
+            if (client.participantId !== null) {
+                players.push({ participantId: client.participantId, name: client.name });
+            }
+        }
+        players.sort((a, b) => a.participantId - b.participantId);
+        this.broadcast({ type: 'players', players });
+    }
+    
+    /**
+     * A new run: the players take their participants again
+     */
+    runStarted() {
+        for (let client of this.clients) {
+            if (client.participantId !== null) {
+                this.simulation.takeControl(client.participantId, client.control);
+            }
+        }
+        this.broadcast(this.runMessage());
+    }
+    
+    /**
+     * Everyone is excluded: announce it and start a new run after the delay
+     * @param {Object} event - The gameOver event
+     */
+    gameOver(event) {
+        this.broadcast({
+            type: 'gameOver',
+            totalEyeContacts: event.totalEyeContacts,
+            totalExits: event.totalExits,
+            restartIn: this.restartDelay
+        });
+        this.logger.log(`Game over after ${(event.time / 1000).toFixed(1)} s, next run in ${this.restartDelay / 1000} s`);
+        clearTimeout(this.restartTimer);
+        this.restartTimer = setTimeout(() => {
+            this.restartTimer = null;
+            this.simulation.restart();
+        }, this.restartDelay);
+    }
+}
+
+/**
+ * Serve the page, its scripts and styles (GET only, see STATIC_FILES and
+ * STATIC_DIRECTORIES; hidden files and dot segments are refused)
+ * @param {http.IncomingMessage} request - The request
+ * @param {http.ServerResponse} response - The response
+ */
+function serveStatic(request, response) {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+        response.writeHead(405, { Allow: 'GET, HEAD' });
+        response.end();
+        return;
+    }
+    
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+        response.writeHead(400);
+        response.end();
+        return;
+    }
+    if (pathname === '/') pathname = '/index.html';
+    
+    const segments = pathname.split('/').slice(1);
+    const hidden = segments.some(segment => segment === '' || segment.startsWith('.') || segment.includes('\\'));
+    const allowed = segments.length === 1 ? STATIC_FILES.includes(segments[0]) :
+        STATIC_DIRECTORIES.includes(segments[0]);
+    if (hidden || !allowed) {
+        notFound(response);
+        return;
+    }
+    
+    const file = path.join(STATIC_ROOT, ...segments);
+    fs.readFile(file, (error, content) => {
+        if (error) {
+            notFound(response);
+            return;
+        }
+        response.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+            'Cache-Control': 'no-cache'
+        });
+        response.end(request.method === 'HEAD' ? undefined : content);
+    });
+}
+
+/**
+ * Answer 404 Not Found
+ * @param {http.ServerResponse} response - The response
+ */
+function notFound(response) {
+    response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    response.end('Not found');
+}
+
+/**
+ * Parse a simulation setting argument, typed like its default value
+ * @param {string} name - Setting name
+ * @param {string} text - Argument text
+ * @param {Object} defaults - Default settings of the simulation
+ * @returns {*} The value
+ * @throws {Error} If the value is not valid for the setting
+ */
+function parseSetting(name, text, defaults) {
+    const arg = `--${name}`;
+    if (SETTING_CHOICES[name]) {
+        if (!SETTING_CHOICES[name].includes(text)) {
+            throw new Error(`Unknown ${name} "${text}" (expected one of ${SETTING_CHOICES[name].join(', ')})`);
+        }
+        return text;
+    }
+    if (SETTING_RULES[name]) {
+        return parseOption(arg, text, SETTING_RULES[name]);
+    }
+    if (typeof defaults[name] === 'number') {
+        return parseOption(arg, text, { min: 0 });
+    }
+    if (typeof defaults[name] === 'boolean') {
+        if (text !== 'true' && text !== 'false') {
+            throw new Error(`Invalid ${arg} "${text}" (expected true or false)`);
+        }
+        return text === 'true';
+    }
+    throw new Error(`${arg} cannot be set from the command line`);
+}
+
+/**
+ * Parse the command-line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { port, host, rate, restartDelay (ms), settings, help }
+ */
+function parseArgs(argv) {
+    const defaults = new Simulation(null, { logger: { log() {} } }).settings;
+    const options = { port: 8080, host: 'localhost', rate: 20, restartDelay: 5000, settings: {} };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = argv[i + 1];
+        
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+            continue;
+        }
+        if (!arg.startsWith('--') || value === undefined) {
+            throw new Error(`Unexpected argument "${arg}"`);
+        }
+        i++;
+        
+        const name = arg.slice(2);
+        if (name === 'port') {
+            options.port = parseOption(arg, value, { integer: true, min: 0 });
+            if (options.port > 65535) {
+                throw new Error(`Invalid ${arg} "${value}" (expected at most 65535)`);
+            }
+        } else if (name === 'host') {
+            options.host = value;
+        } else if (name === 'rate') {
+            options.rate = parseOption(arg, value);
+        } else if (name === 'restart-delay') {
+            options.restartDelay = parseOption(arg, value, { min: 0 }) * 1000;
+        } else if (name in defaults) {
+            options.settings[name] = parseSetting(name, value, defaults);
+        } else {
+            throw new Error(`Unknown option "${arg}"`);
+        }
+    }
+    
+    return options;
+}
+
+/**
+ * Start the http server and the game on it
+ * @param {Object} options - Parsed options (see parseArgs)
+ * @returns {Object} { server, game } (call game.stop() and server.close() to end)
+ */
+function listen(options) {
+    const game = new GameServer(options.settings, options);
+    const server = http.createServer(serveStatic);
+    
+    server.on('upgrade', (request, socket, head) => {
+        // A client resetting the connection must not end the process
+        // (the WebSocket connection adds its own handler once accepted)
+        socket.on('error', () => socket.destroy());
+        if (new URL(request.url, 'http://localhost').pathname !== '/game') {
+            socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+            return;
+        }
+        const connection = acceptWebSocket(request, socket, head);
+        if (connection) {
+            game.addClient(connection);
+        }
+    });
+    
+    game.start();
+    server.listen(options.port, options.host || 'localhost');
+    return { server, game };
+}
+
+/**
+ * Command-line entry point
+ */
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+    
+    if (options.help) {
+        // Print the usage block from the top of this file
+        const source = fs.readFileSync(__filename, 'utf8');
+        console.log(source.split('*/')[0].replace(/^#!.*\n/, '').replace(/^\s*\/?\*+ ?/gm, ''));
+        return;
+    }
+    
+    const { server } = listen(options);
+    server.on('listening', () => {
+        console.log(`Game of Sight server on http://${options.host}:${server.address().port}/ (WebSocket /game)`);
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { GameServer, serveStatic, parseArgs, listen };
@@ -0,0 +1,386 @@
+#!/usr/bin/env node
+/**
+ * Game of Sight - Parameter sweep runner
+ * Runs the headless simulation over a grid of settings and writes one CSV
+ * row per run
+ *
+ * Usage:
+ *   node tools/sweep.js [--setting range ...] [--repetitions N] [--max-time S]
+ *                       [--seed BASE] [--out FILE]
+ *
+ * A range is a single value (10), a list (5,10,20) or start:end:step (5:20:5),
+ * with at most 1000 values. participantCount takes integers from 2; arenaSize,
+ * arenaAspect, timeoutDuration, simulationSpeed and visionAngle values above 0.
+ * --squareSize is still accepted as the old name of --arenaSize.
+ * Settings: participantCount, arenaSize, arenaAspect, timeoutDuration, simulationSpeed,
+ * visionAngle, headRotationSpeed, personalSpace (defaults are the simulation defaults).
+ * Choice settings take a list of names: arena (square,circle,...),
+ * obstacleLayout (none,pillar,columns,furniture),
+ * movementModel (bounce,levy,...) and gazeStrategy (walk,scan,...).
+ *
+ * Example:
+ *   node tools/sweep.js --participantCount 5:20:5 --visionAngle 30,60,90 \
+ *       --repetitions 10 --max-time 120 --out sweep.csv
+ */
+const fs = require('fs');
+const path = require('path');
+const { Simulation } = require(path.join(__dirname, '..', 'js', 'simulation.js'));
+
+// Numeric settings that can be swept, in CSV column order
+const NUMERIC_SETTINGS = [
+    'participantCount',
+    'arenaSize',
+    'arenaAspect',
+    'timeoutDuration',
+    'simulationSpeed',
+    'visionAngle',
+    'headRotationSpeed',
+    'personalSpace'
+];
+
+// Accepted values of the numeric settings, as parseOption rules (no min:
+// above 0); settings missing here may be 0
+const SETTING_RULES = {
+    participantCount: { integer: true, min: 2 },
+    arenaSize: {},
+    arenaAspect: {},
+    timeoutDuration: {},
+    simulationSpeed: {},
+    visionAngle: {},
+    seed: { integer: true, min: 0 }
+};
+
+// Most values in one range (a typo such as 1:1e9:1 would never finish)
+const MAX_RANGE_VALUES = 1000;
+
+// Settings swept over a list of names
+const CHOICE_SETTINGS = [
+    'arena',
+    'obstacleLayout',
+    'movementModel',
+    'gazeStrategy'
+];
+
+// Accepted names of the choice settings (the simulation would silently fall
+// back to the default on an unknown movement model or gaze strategy)
+const CHOICE_NAMES = {
+    arena: Object.keys(ARENA_SHAPES),
+    obstacleLayout: Object.keys(OBSTACLE_LAYOUTS),
+    movementModel: Object.keys(MOVEMENT_MODELS),
+    gazeStrategy: Object.keys(GAZE_STRATEGIES).concat('mixed')
+};
+
+// All swept settings, in CSV column order
+const SWEEP_SETTINGS = NUMERIC_SETTINGS.concat(CHOICE_SETTINGS);
+
+// Result columns after the settings
+const RESULT_COLUMNS = [
+    'repetition',
+    'seed',
+    'simTime',
+    'gameOver',
+    'timeToFirstExclusion',
+    'timeToGameOver',
+    'meanInsideFraction',
+    'totalEyeContacts',
+    'totalExits'
+];
+
+// Logger that discards the simulation's debug messages
+const QUIET_LOGGER = { log() {} };
+
+/**
+ * Parse a number argument ("" and "abc" are not 0 and NaN but errors)
+ * @param {string} text - Argument text
+ * @returns {number} The number, or NaN when the text is not a finite number
+ */
+function parseNumber(text) {
+    return text.trim() === '' ? NaN : Number(text);
+}
+
+/**
+ * Parse a range argument
+ * @param {string} text - "10", "5,10,20" or "5:20:5"
+ * @returns {Array<number>} The values of the range
+ * @throws {Error} If a value is not a number, or the range is empty or too long
+ */
+function parseRange(text) {
+    if (text.includes(':')) {
+        const parts = text.split(':');
+        const [start, end, step = 1] = parts.map(parseNumber);
+        if (parts.length > 3 || ![start, end, step].every(Number.isFinite) || step <= 0) {
+            throw new Error(`Invalid range "${text}" (expected start:end:step)`);
+        }
+        if (end < start) {
+            throw new Error(`Empty range "${text}" (the end is before the start)`);
+        }
+        if ((end - start) / step >= MAX_RANGE_VALUES) {
+            throw new Error(`Range "${text}" has more than ${MAX_RANGE_VALUES} values`);
+        }
+        
+        const values = [];
+        // Small epsilon so float steps (0.1:1:0.1) include the end value
+        for (let value = start; value <= end + step * 1e-9; value += step) {
+            values.push(Number(value.toFixed(10)));
+        }
+        return values;
+    }
+    
+    const values = text.split(',').map(parseNumber);
+    if (!values.every(Number.isFinite)) {
+        throw new Error(`Invalid value list "${text}"`);
+    }
+    if (values.length > MAX_RANGE_VALUES) {
+        throw new Error(`Value list "${text}" has more than ${MAX_RANGE_VALUES} values`);
+    }
+    return values;
+}
+
+/**
+ * Parse a range of a numeric setting, checking each value against its rule
+ * @param {string} name - Setting name
+ * @param {string} text - Range text (see parseRange)
+ * @returns {Array<number>} The values of the range
+ * @throws {Error} If the range is invalid or a value is not accepted for the setting
+ */
+function parseSettingRange(name, text) {
+    const rules = SETTING_RULES[name] || { min: 0 };
+    return parseRange(text).map(value => parseOption(`--${name}`, String(value), rules));
+}
+
+/**
+ * Parse a list of names of a choice setting
+ * @param {string} name - Setting name (see CHOICE_NAMES)
+ * @param {string} text - "circle" or "square,circle"
+ * @returns {Array<string>} The names
+ * @throws {Error} If a name is unknown
+ */
+function parseChoices(name, text) {
+    const values = text.split(',');
+    for (let value of values) {
+        if (!CHOICE_NAMES[name].includes(value)) {
+            throw new Error(`Unknown ${name} "${value}" (expected one of ${CHOICE_NAMES[name].join(', ')})`);
+        }
+    }
+    return values;
+}
+
+/**
+ * Parse a count or duration argument
+ * @param {string} arg - Option name, for the message
+ * @param {string} text - Argument text
+ * @param {Object} rules - Optional { integer, min (default: above 0) }
+ * @returns {number} The value
+ * @throws {Error} If it is not a number in the accepted range
+ */
+function parseOption(arg, text, rules = {}) {
+    const value = parseNumber(text);
+    const min = rules.min === undefined ? null : rules.min;
+    const valid = Number.isFinite(value) && (!rules.integer || Number.isInteger(value)) &&
+        (min === null ? value > 0 : value >= min);
+    if (!valid) {
+        const kind = rules.integer ? 'an integer' : 'a number';
+        throw new Error(`Invalid ${arg} "${text}" (expected ${kind} ${min === null ? 'above 0' : `of at least ${min}`})`);
+    }
+    return value;
+}
+
+/**
+ * Parse the command-line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Ranges per setting and run options
+ */
+function parseArgs(argv) {
+    const defaults = new Simulation(null, { logger: QUIET_LOGGER }).settings;
+    const options = {
+        ranges: {},
+        repetitions: 1,
+        maxTime: 120,
+        seed: 1,
+        out: null
+    };
+    
+    for (let name of SWEEP_SETTINGS) {
+        options.ranges[name] = [defaults[name]];
+    }
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = argv[i + 1];
+        
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+            continue;
+        }
+        if (!arg.startsWith('--') || value === undefined) {
+            throw new Error(`Unexpected argument "${arg}"`);
+        }
+        i++;
+        
+        // squareSize is the old name of arenaSize
+        const name = arg === '--squareSize' ? 'arenaSize' : arg.slice(2);
+        if (NUMERIC_SETTINGS.includes(name)) {
+            options.ranges[name] = parseSettingRange(name, value);
+        } else if (CHOICE_SETTINGS.includes(name)) {
+            options.ranges[name] = parseChoices(name, value);
+        } else if (name === 'repetitions') {
+            options.repetitions = parseOption(arg, value, { integer: true });
+        } else if (name === 'max-time') {
+            options.maxTime = parseOption(arg, value);
+        } else if (name === 'seed') {
+            options.seed = parseOption(arg, value, { integer: true, min: 0 });
+        } else if (name === 'out') {
+            options.out = value;
+        } else {
+            throw new Error(`Unknown option "${arg}"`);
+        }
+    }
+    
+    return options;
+}
+
+/**
+ * All combinations of the swept settings
+ * @param {Object} ranges - Values per setting
+ * @returns {Array<Object>} One settings object per grid point
+ */
+function buildGrid(ranges) {
+    let grid = [{}];
+    for (let name of SWEEP_SETTINGS) {
+        const next = [];
+        for (let point of grid) {
+            for (let value of ranges[name]) {
+                next.push({ ...point, [name]: value });
+            }
+        }
+        grid = next;
+    }
+    return grid;
+}
+
+/**
+ * Run one seeded simulation until game over or the time limit
+ * @param {Object} settings - Simulation settings (including the seed)
+ * @param {number} maxTime - Simulation time limit in seconds
+ * @returns {Object} Measured results of the run
+ */
+function runOne(settings, maxTime) {
+    const simulation = new Simulation(settings, { logger: QUIET_LOGGER });
+    
+    let timeToFirstExclusion = null;
+    simulation.on('exclusionStarted', event => {
+        if (timeToFirstExclusion === null) timeToFirstExclusion = event.time;
+    });
+    simulation.start();
+    
+    const endTime = maxTime * 1000;
+    while (simulation.clock.now() < endTime && !simulation.isGameOver) {
+        simulation.step();
+    }
+    simulation.updateStatistics();
+    
+    // Share of participant time spent inside the square
+    let timeInside = 0;
+    let timeTotal = 0;
+    for (let p of simulation.participants) {
+        timeInside += p.totalTimeInside;
+        timeTotal += p.totalTimeInside + p.totalTimeOutside;
+    }
+    
+    return {
+        simTime: simulation.clock.now() / 1000,
+        gameOver: simulation.isGameOver,
+        timeToFirstExclusion: timeToFirstExclusion === null ? null : timeToFirstExclusion / 1000,
+        timeToGameOver: simulation.isGameOver ? simulation.clock.now() / 1000 : null,
+        meanInsideFraction: timeTotal > 0 ? timeInside / timeTotal : 0,
+        totalEyeContacts: simulation.statistics.totalEyeContacts,
+        totalExits: simulation.statistics.totalExits
+    };
+}
+
+/**
+ * Format a value for a CSV cell (empty for missing values)
+ * @param {*} value - Cell value
+ * @returns {string} The cell text
+ */
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number' && !Number.isInteger(value)) return String(Number(value.toFixed(4)));
+    return String(value);
+}
+
+/**
+ * Run the whole sweep
+ * @param {Object} options - Parsed options (see parseArgs)
+ * @param {Function} onRow - Called with each CSV line (header first)
+ */
+function runSweep(options, onRow) {
+    const grid = buildGrid(options.ranges);
+    const totalRuns = grid.length * options.repetitions;
+    let runIndex = 0;
+    
+    onRow(SWEEP_SETTINGS.concat(RESULT_COLUMNS).join(','));
+    
+    for (let point of grid) {
+        for (let repetition = 0; repetition < options.repetitions; repetition++) {
+            // Same seeds at every grid point, so settings are compared on equal draws
+            const seed = options.seed + repetition;
+            const result = runOne({ ...point, seed }, options.maxTime);
+            const row = { ...point, repetition, seed, ...result };
+            
+            onRow(SWEEP_SETTINGS.concat(RESULT_COLUMNS).map(column => csvCell(row[column])).join(','));
+            
+            // Progress on the terminal only, so redirected output stays clean
+            runIndex++;
+            if (process.stderr.isTTY) {
+                process.stderr.write(`\rRun ${runIndex}/${totalRuns}`);
+            }
+        }
+    }
+    if (process.stderr.isTTY) {
+        process.stderr.write('\n');
+    }
+}
+
+/**
+ * Command-line entry point
+ */
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+    
+    if (options.help) {
+        // Print the usage block from the top of this file
+        const source = fs.readFileSync(__filename, 'utf8');
+        console.log(source.split('*/')[0].replace(/^#!.*\n/, '').replace(/^\s*\/?\*+ ?/gm, ''));
+        return;
+    }
+    
+    const lines = [];
+    runSweep(options, line => {
+        if (options.out) {
+            lines.push(line);
+        } else {
+            console.log(line);
+        }
+    });
+    
+    if (options.out) {
+        fs.writeFileSync(options.out, lines.join('\n') + '\n');
+        console.error(`Wrote ${lines.length - 1} runs to ${options.out}`);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    parseRange, parseSettingRange, parseNumber, parseOption, parseChoices,
+    SETTING_RULES, CHOICE_NAMES, buildGrid, runOne, runSweep
+};
@@ -0,0 +1,310 @@
+/**
+ * Game of Sight - Minimal WebSocket server side (RFC 6455)
+ * Opening handshake and framing on top of Node's http upgrade, without
+ * dependencies. Enough for the multiplayer server: text and binary
+ * messages (fragmented or not), ping/pong and the closing handshake.
+ * Extensions (e.g. compression) and subprotocols are not negotiated.
+ */
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Fixed GUID appended to the client key in the handshake
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Frame opcodes
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xA
+};
+
+// Close status codes used here
+const CLOSE_CODES = {
+    normal: 1000,
+    goingAway: 1001,
+    protocolError: 1002,
+    tooLarge: 1009,
+    internalError: 1011
+};
+
+/**
+ * WebSocketConnection Class
+ * One accepted connection. Emits 'message' (string for text, Buffer for
+ * binary) and 'close' (code, reason) once, when the connection ends for
+ * any reason.
+ */
+class WebSocketConnection extends EventEmitter {
+    /**
+     * Constructor for a connection on an upgraded socket
+     * @param {net.Socket} socket - Socket after the handshake
+     * @param {Object} options - Optional { maxMessageSize (bytes, default 64 KiB),
+     *                           maxBufferedBytes (unsent bytes before the client is dropped, default 4 MiB) }
+     */
+    constructor(socket, options = {}) {
+        super();
+        this.socket = socket;
+        this.maxMessageSize = options.maxMessageSize || 64 * 1024;
+        this.maxBufferedBytes = options.maxBufferedBytes || 4 * 1024 * 1024;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];      // Payloads of a fragmented message
+        this.fragmentOpcode = null;
+        this.isOpen = true;
+        this.closeSent = false;
+        
+        socket.setNoDelay(true);
+        socket.on('data', data => this.receive(data));
+        socket.on('close', () => this.finish(CLOSE_CODES.goingAway, ''));
+        socket.on('error', () => this.finish(CLOSE_CODES.goingAway, ''));
+    }
+    
+    /**
+     * Send a message (a client that stopped reading is dropped rather than
+     * buffering everything sent to it)
+     * @param {string|Buffer} data - Text (sent as a text frame) or bytes (binary frame)
+     */
+    send(data) {
+        if (!this.isOpen || this.closeSent) return;
+        if (this.socket.writableLength > this.maxBufferedBytes) {
+            this.socket.destroy();
+            this.finish(CLOSE_CODES.goingAway, 'Client not reading');
+            return;
+        }
+        if (Buffer.isBuffer(data)) {
+            this.sendFrame(OPCODES.binary, data);
+        } else {
+            this.sendFrame(OPCODES.text, Buffer.from(String(data), 'utf8'));
+        }
+    }
+    
+    /**
+     * Start the closing handshake (the socket ends once the client answers,
+     * or after a second)
+     * @param {number} code - Close status code (default 1000)
+     * @param {string} reason - Short text for the client
+     */
+    close(code = CLOSE_CODES.normal, reason = '') {
+        if (!this.isOpen || this.closeSent) return;
+        const reasonBytes = Buffer.from(reason, 'utf8').subarray(0, 123);
+        const payload = Buffer.alloc(2 + reasonBytes.length);
+        payload.writeUInt16BE(code, 0);
+        reasonBytes.copy(payload, 2);
+        this.sendFrame(OPCODES.close, payload);
+        this.closeSent = true;
+        setTimeout(() => this.socket.destroy(), 1000).unref();
+    }
+    
+    /**
+     * Write one unmasked, unfragmented frame (servers never mask)
+     * @param {number} opcode - Frame opcode
+     * @param {Buffer} payload - Frame payload
+     */
+    sendFrame(opcode, payload) {
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.alloc(2);
+            header[1] = payload.length;
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        header[0] = 0x80 | opcode; // FIN
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+    
+    /**
+     * Read the complete frames that have arrived
+     * @param {Buffer} data - New bytes from the socket
+     */
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        while (this.isOpen) {
+            const frame = this.parseFrame();
+            if (!frame) break;
+            
+            // A listener that throws on one message closes this connection
+            // only, instead of ending the process (and every other connection)
+            try {
+                this.handleFrame(frame);
+            } catch (error) {
+                console.error(`WebSocket message handler failed: ${error.stack || error}`);
+                this.fail(CLOSE_CODES.internalError, 'Internal error');
+            }
+        }
+    }
+    
+    /**
+     * Take one frame from the start of the buffer
+     * @returns {Object|null} { fin, opcode, payload }, or null until the frame is complete
+     */
+    parseFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+        
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0F;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7F;
+        let offset = 2;
+        
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            const longLength = buffer.readBigUInt64BE(2);
+            length = longLength > BigInt(this.maxMessageSize) ? Infinity : Number(longLength);
+            offset = 10;
+        }
+        
+        // Clients must mask their frames; reserved bits mean unknown extensions
+        if (!masked || (buffer[0] & 0x70) !== 0) {
+            this.fail(CLOSE_CODES.protocolError, 'Protocol error');
+            return null;
+        }
+        if (length > this.maxMessageSize) {
+            this.fail(CLOSE_CODES.tooLarge, 'Message too large');
+            return null;
+        }
+        if (buffer.length < offset + 4 + length) return null;
+        
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.alloc(length);
+        for (let i = 0; i < length; i++) {
+            payload[i] = buffer[offset + 4 + i] ^ mask[i % 4];
+        }
+        this.buffer = buffer.subarray(offset + 4 + length);
+        return { fin, opcode, payload };
+    }
+    
+    /**
+     * React to a frame: gather messages, answer pings and close frames
+     * @param {Object} frame - { fin, opcode, payload }
+     */
+    handleFrame(frame) {
+        switch (frame.opcode) {
+            case OPCODES.text:
+            case OPCODES.binary:
+                if (this.fragmentOpcode !== null) {
+                    this.fail(CLOSE_CODES.protocolError, 'Expected a continuation frame');
+                    return;
+                }
+                this.fragmentOpcode = frame.opcode;
+                this.addFragment(frame);
+                break;
+            case OPCODES.continuation:
+                if (this.fragmentOpcode === null) {
+                    this.fail(CLOSE_CODES.protocolError, 'Unexpected continuation frame');
+                    return;
+                }
+                this.addFragment(frame);
+                break;
+            case OPCODES.ping:
+                this.sendFrame(OPCODES.pong, frame.payload);
+                break;
+            case OPCODES.pong:
+                break;
+            case OPCODES.close: {
+                const code = frame.payload.length >= 2 ? frame.payload.readUInt16BE(0) : CLOSE_CODES.normal;
+                const reason = frame.payload.subarray(2).toString('utf8');
+                if (!this.closeSent) {
+                    this.sendFrame(OPCODES.close, frame.payload.subarray(0, 2));
+                    this.closeSent = true;
+                }
+                this.socket.end();
+                this.finish(code, reason);
+                break;
+            }
+            default:
+                this.fail(CLOSE_CODES.protocolError, `Unknown opcode ${frame.opcode}`);
+        }
+    }
+    
+    /**
+     * Add a data frame to the message being received, and emit it when complete
+     * @param {Object} frame - Text, binary or continuation frame
+     */
+    addFragment(frame) {
+        this.fragments.push(frame.payload);
+        const size = this.fragments.reduce((sum, part) => sum + part.length, 0);
+        if (size > this.maxMessageSize) {
+            this.fail(CLOSE_CODES.tooLarge, 'Message too large');
+            return;
+        }
+        if (!frame.fin) return;
+        
+        const payload = Buffer.concat(this.fragments);
+        const opcode = this.fragmentOpcode;
+        this.fragments = [];
+        this.fragmentOpcode = null;
+        this.emit('message', opcode === OPCODES.text ? payload.toString('utf8') : payload);
+    }
+    
+    /**
+     * Close because the client broke the protocol
+     * @param {number} code - Close status code
+     * @param {string} reason - Short text for the client
+     */
+    fail(code, reason) {
+        this.close(code, reason);
+        this.finish(code, reason);
+    }
+    
+    /**
+     * Mark the connection as ended and tell the listeners (once)
+     * @param {number} code - Close status code
+     * @param {string} reason - Close reason
+     */
+    finish(code, reason) {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.emit('close', code, reason);
+    }
+}
+
+/**
+ * Complete the opening handshake of an http 'upgrade' request
+ * @param {http.IncomingMessage} request - The upgrade request
+ * @param {net.Socket} socket - Its socket
+ * @param {Buffer} head - Bytes the client sent after the handshake in the same packet (may be empty)
+ * @param {Object} options - Options of the connection (see WebSocketConnection)
+ * @returns {WebSocketConnection|null} The connection, or null if the request
+ *                                     was not a valid WebSocket handshake (answered with 400)
+ */
+function acceptWebSocket(request, socket, head, options = {}) {
+    const key = request.headers['sec-websocket-key'];
+    const upgrade = (request.headers.upgrade || '').toLowerCase();
+    const version = request.headers['sec-websocket-version'];
+    if (request.method !== 'GET' || upgrade !== 'websocket' || !key || version !== '13') {
+        socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+        return null;
+    }
+    
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    
+    // Frames that came with the handshake are read once the caller has
+    // attached its listeners (before any later data from the socket)
+    const connection = new WebSocketConnection(socket, options);
+    if (head && head.length > 0) {
+        process.nextTick(() => connection.receive(head));
+    }
+    return connection;
+}
+
+module.exports = { WebSocketConnection, acceptWebSocket, OPCODES, CLOSE_CODES };